@@ -4,12 +4,351 @@
 
   caterwaul.clone('std')(function (require) {
 
+//   Error reporting.
+//   Anything that goes wrong between accepting a request and having JSON to send back becomes an error object of the form {type, status, message, ...}, where 'status' is the HTTP status that
+//   every client waiting on that request will get. Each kind of failure has its own status so that clients can tell them apart without parsing messages:
+
+//   | request    400   the request path doesn't name an upstream feed
+//     filter     400   a filter in the query string doesn't parse; 'column' says where it went wrong (see 'Filter syntax')
+//     forbidden  403   the upstream isn't one we're willing to fetch (see 'Upstream access')
+//     rate       429   the client has used up its share of requests for now; 'retry_after' says how many seconds to wait (see 'Rate limiting')
+//     feed       415   we were asked for a normalized feed (mode=feed), but the document isn't Atom or RSS
+//     parse      422   the upstream document isn't well-formed XML (the error carries sax.js's 'line' and 'column')
+//     status     424   the upstream answered, but with a non-2xx status (carried as 'upstream_status')
+//     size       502   the upstream document is bigger than one of the limits in 'Configuration'; 'limit' names the one it broke
+//     dns        502   the upstream hostname doesn't resolve
+//     connect    503   we couldn't connect to the upstream, or the connection died partway through
+//     queue      503   we were fetching too much already, and the fetch didn't get its turn within queue_timeout (see 'Upstream politeness')
+//     timeout    504   the upstream stopped talking to us for longer than upstream_timeout
+//     redirect   508   the upstream redirected us in a loop, or more than max_redirects times
+//     internal   500   something went wrong on our end (see below)
+
+//   Anything else is a bug on our end and comes back as a 500, as an 'internal' error. guarded() is how: it wraps a function that runs on behalf of some clients (the request handler, or a
+//   callback from a fetch or a conversion), and if that function throws, the exception is logged and 'fail' gets the error to pass on to them. Without it the exception would only reach the
+//   uncaughtException handler, and the clients would wait for an answer that never comes.
+
+    const error_statuses = {request: 400, filter: 400, forbidden: 403, feed: 415, parse: 422, status: 424, rate: 429, internal: 500, size: 502, dns: 502, connect: 503, queue: 503,
+                            timeout: 504, redirect: 508};
+    const extend = function (o, p) {for (var k in p) o[k] = p[k]; return o};
+    const failure = fn[type, message, details][extend({type: type, status: error_statuses[type] || 500, message: message}, details || {})];
+    const once = fn[f][let[called = false] in fn[x][called || (called = true, f(x))]];
+    const guarded = function (f, fail) {
+      return function () {
+        try {return f.apply(this, arguments)}
+        catch (e) {console.log('Exception: ' + (e && e.stack || e)); fail(failure('internal', 'Something went wrong on our end; it has been logged'))}
+      };
+    };
+
+//   Configuration.
+//   The settings below can be changed without touching the code. They come from a JSON config file, then environment variables, then flags to the 'run' script, each source overriding the
+//   ones before it:
+
+//   | ./run --port=8082 --host=127.0.0.1 --config=/etc/atom-node.json
+//     ATOM_NODE_PORT=8082 ATOM_NODE_DEFAULT_TTL=600000 ./run
+
+//   The config file is named by --config or ATOM_NODE_CONFIG and uses the names as they're written here; flags and environment variables spell them --max-response-size and
+//   ATOM_NODE_MAX_RESPONSE_SIZE. Times are in milliseconds and sizes in bytes (the caches count characters of XML, which is close enough).
+
+//   | host               the address to listen on
+//     port               the port to listen on
+//     default_ttl        how long a cache entry stays fresh when the upstream doesn't say (see 'Request caching')
+//     min_ttl, max_ttl   the range that upstream TTLs are clamped to
+//     max_stale          how long a stale entry is kept before it's swept out
+//     cache_size         how much XML the cache holds before it starts evicting
+//     tree_cache_size    how much of that is also kept converted, measured by the XML it came from, so that a popular feed isn't parsed again for every request
+//     cache_dir          if set, a directory the cache is kept in as well as in memory, so that it survives a restart
+//     upstream_timeout   how long an upstream can go quiet before we give up on it
+//     max_redirects      how many redirects we follow for one fetch
+//     max_fetches        how many upstream requests can be running at once (see 'Upstream politeness')
+//     max_host_fetches   how many of those can be to the same host
+//     host_interval      how long to wait between starting two requests to the same host
+//     queue_timeout      how long a request can wait for its turn before we give up on it
+//     max_response_size  the most we'll download from an upstream
+//     max_depth          how deeply elements can be nested
+//     max_elements       how many elements a document can have
+//     max_attributes     how many attributes one element can have
+//     max_text           how many characters of text and CDATA a document can have, all told
+//     default_arrays     the elements that are always arrays when a request doesn't say (see 'Arrays'), or ["all"]
+//     allow_regexps      true to allow =~ in filters (see 'Filter syntax'), which lets clients run regular expressions of their choosing on the server
+//     default_filters    filters run on every request before its own, e.g. ["entries(categories!=draft)"]; in a flag or an environment variable, separate them with '&' as in a query string
+//     allow_hosts        if not empty, the only upstreams we'll fetch (see 'Upstream access'); in a flag or an environment variable, separate them with ','
+//     deny_hosts         upstreams we won't fetch, written the same way
+//     allow_private      true to let upstreams be loopback, private or link-local addresses, which are refused otherwise
+//     max_sources        how many feeds one request can merge (see 'Merging feeds')
+//     hit_rate           how many requests a minute one client can have answered from the cache (see 'Rate limiting'); 0 for no limit
+//     hit_burst          how many of those it can make at once
+//     fetch_rate         how many requests a minute one client can make that start an upstream fetch; 0 for no limit
+//     fetch_burst        how many of those it can make at once
+//     api_key_header     if set, the header a client can send an API key in, to be limited by its key rather than by its address
+//     api_keys           the keys we accept in that header; in a flag or an environment variable, separate them with ','
+
+//   A mistake in any of these (a setting we don't have, a value of the wrong kind, a config file we can't read, a default filter that doesn't parse) stops the server before it listens, with
+//   a message saying what was wrong and where it came from.
+
+    const config_defaults = {host: '0.0.0.0', port: 8081, default_ttl: 900000, min_ttl: 60000, max_ttl: 86400000, max_stale: 86400000, cache_size: 64 * 1048576, tree_cache_size: 16 * 1048576,
+                             cache_dir: '', upstream_timeout: 30000, max_redirects: 5, max_fetches: 32, max_host_fetches: 2, host_interval: 250, queue_timeout: 15000,
+                             max_response_size: 32 * 1048576, max_depth: 256, max_elements: 1000000, max_attributes: 256, max_text: 32 * 1048576,
+                             default_arrays: ['entry', 'item', 'link', 'category', 'author', 'contributor', 'enclosure'],
+                             allow_regexps: false, default_filters: [], allow_hosts: [], deny_hosts: [], allow_private: false, max_sources: 20,
+                             hit_rate: 600, hit_burst: 60, fetch_rate: 30, fetch_burst: 10, api_key_header: '', api_keys: []};
+
+    const config_error = fn[message][console.error('Configuration error: #{message}'), process.exit(1)];
+
+//     Settings take their type from their default. A list can be given as a string, split on ',' (or on '&' for default_filters, since filters have commas of their own). A string setting can
+//     be empty only if it is by default.
+
+    const config_value = fn[k, v, source][
+      ! config_defaults.hasOwnProperty(k)           ? config_error('#{source} sets #{k}, but there is no such setting') :
+      config_defaults[k] instanceof Array          ? (typeof v === 'string'                                      ? v.split(k === 'default_filters' ? '&' : ',').filter(fn[x][x]) :
+                                                      v instanceof Array && v.every(fn[x][typeof x === 'string']) ? v :
+                                                                                                                     config_error('#{source} sets #{k} to something that is not a list')) :
+      typeof config_defaults[k] === 'boolean'      ? (/^(?:true|1)$/.test(String(v)) || (/^(?:false|0)$/.test(String(v)) ? false :
+                                                                                          config_error('#{source} sets #{k} to #{JSON.stringify(v)}, which is not true or false'))) :
+      typeof config_defaults[k] === 'string'       ? (typeof v === 'string' && (v || ! config_defaults[k]) ? v :
+                                                                                                  config_error('#{source} sets #{k} to #{JSON.stringify(v)}, which is not a non-empty string')) :
+      /^\d+$/.test(String(v))                      ? +v :
+                                                     config_error('#{source} sets #{k} to #{JSON.stringify(v)}, which is not a non-negative integer')];
+
+    const config_flags = function (argv) {
+      for (var o = {}, i = 0, m; i < argv.length; ++i)
+        if (m = /^--([a-z][a-z_-]*)(?:=(.*))?$/.exec(argv[i])) o[m[1].replace(/-/g, '_')] = m[2] !== undefined ? m[2] : i + 1 < argv.length ? argv[++i] : config_error(argv[i] + ' needs a value');
+        else config_error('expected a --setting=value flag, not ' + argv[i]);
+      return o;
+    };
+    const config_env = fn[env][Object.keys(config_defaults).reduce(fn[o, k][let[v = env['ATOM_NODE_#{k.toUpperCase()}']] in (v !== undefined && (o[k] = v), o)], {})];
+    const config_file = function (path) {
+      try {var o = JSON.parse(require('fs').readFileSync(path, 'utf8'))}
+      catch (e) {config_error("can't read the config file " + path + ': ' + e.message)}
+      return o && typeof o === 'object' && ! (o instanceof Array) ? o : config_error('the config file ' + path + ' has to hold a JSON object');
+    };
+
+    const load_config = function (argv, env) {
+      var flags = config_flags(argv), file = flags.config || env.ATOM_NODE_CONFIG, c = extend({}, config_defaults);
+      delete flags.config;
+      [[file ? config_file(file) : {}, 'the config file ' + file], [config_env(env), 'the environment'], [flags, 'the command line']].forEach(function (s) {
+        for (var k in s[0]) c[k] = config_value(k, s[0][k], s[1]);
+      });
+      c.port >= 1 && c.port <= 65535 || config_error('port has to be between 1 and 65535, not ' + c.port);
+      c.min_ttl <= c.max_ttl         || config_error('min_ttl (' + c.min_ttl + ') is larger than max_ttl (' + c.max_ttl + ')');
+      return c;
+    };
+    const config = load_config(process.argv.slice(2), process.env);
+
+//   Upstream access.
+//   An open proxy is a way into whatever network it runs in: left to itself, /169.254.169.254/latest/meta-data/ would hand a cloud machine's credentials to anyone who asked for them. So
+//   every upstream URL we're asked for, and every one we're redirected to, has to pass some checks first, and a request that fails them gets a 'forbidden' error. It mustn't match anything
+//   in deny_hosts; if allow_hosts isn't empty it has to match something there; and unless allow_private is set, its host mustn't be or resolve to a loopback, private, link-local or otherwise
+//   internal address.
+
+//   The patterns in allow_hosts and deny_hosts are host names, where '*' stands for any run of characters ('*.example.com' covers every subdomain but not example.com itself), or if they
+//   contain a '/', whole URLs ('https://example.com/feeds/*'). Case doesn't matter.
+
+//   We check addresses as we connect, through the 'lookup' hook of the http modules, rather than resolving the name beforehand: that way the address we check is the address we use, and a
+//   DNS server can't give us a harmless answer for the check and an internal one for the connection. Hosts written as IP addresses are never looked up, so upstream_refusal() checks those
+//   itself.
+
+    const host_pattern = fn[p][{whole_url: p.indexOf('/') > -1, re: new RegExp('^' + p.replace(/[.+?^$()|[\]{}\\]/g, '\\$&').replace(/\*/g, '.*') + '$', 'i')}];
+    const allowed_hosts = config.allow_hosts.map(host_pattern), denied_hosts = config.deny_hosts.map(host_pattern);
+    const host_matches = fn[patterns, u, url][patterns.some(fn[p][p.re.test(p.whole_url ? url : u.hostname)])];
+
+    const internal_addresses = let[b = new (require('net').BlockList)()] in
+                               (['0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12', '192.0.0.0/24', '192.168.0.0/16', '198.18.0.0/15',
+                                 '224.0.0.0/3'].forEach(fn[s][b.addSubnet(s.split('/')[0], +s.split('/')[1], 'ipv4')]),
+                                ['::/127', '64:ff9b::/96', 'fc00::/7', 'fe80::/10', 'ff00::/8'].forEach(fn[s][b.addSubnet(s.split('/')[0], +s.split('/')[1], 'ipv6')]), b);
+    const internal_address = fn[address][internal_addresses.check(address, require('net').isIPv6(address) ? 'ipv6' : 'ipv4')];
+
+    const upstream_refusal = fn[url][let[u = require('url').parse(url)] in
+                                     (host_matches(denied_hosts, u, url)                              ? failure('forbidden', '#{url} is on the deny list', {url: url}) :
+                                      allowed_hosts.length && ! host_matches(allowed_hosts, u, url)  ? failure('forbidden', '#{url} is not on the allow list', {url: url}) :
+                                      ! config.allow_private && require('net').isIP(u.hostname) && internal_address(u.hostname) ?
+                                                                                                        failure('forbidden', '#{url} is an internal address', {url: url}) :
+                                                                                                        null)];
+
+    const checked_lookup = fn[host, options, cc][require('dns').lookup(host, options, fn[e, address, family][
+                                                   e                                                               ? cc(e) :
+                                                   [].concat(address).some(fn[a][internal_address(a.address || a)]) ? cc(extend(new Error('#{host} resolves to an internal address'),
+                                                                                                                                {code: 'EFORBIDDEN'})) :
+                                                                                                                      cc(null, address, family)])];
+
+//   Upstream politeness.
+//   Coalescing requests for the same URL isn't enough to keep us from hammering other servers: a page that asks for fifty different feeds on one host would have us open fifty connections to
+//   it at once. So every upstream request, redirects included, waits for a turn. At most max_fetches of them run at a time, at most max_host_fetches of those go to any one host, and two
+//   requests to the same host start at least host_interval apart. Requests wait in the order they came in, except that one whose host is busy doesn't hold up the ones behind it. A request
+//   that's still waiting after queue_timeout is dropped, and everyone waiting on its fetch gets a 'queue' error.
+
+//   A turn lasts until the request is closed, which is when the response has been read to the end, or destroyed, or the request failed. If starting the request throws instead (http.request
+//   does that for some URLs it won't send), the turn ends right there and the error goes to 'fail'. The slot is given back without pumping, since we're inside pump() already, and 'fail' runs
+//   on the next tick so that whoever it wakes up doesn't queue more requests from inside the loop either.
+
+    const upstream_turns = function (max_total, max_per_host, interval, timeout) {
+      var active = 0, hosts = {}, waiting = [], timer = null;
+      function start(w, h, now) {
+        var done = false;
+        function free() {done || (done = true, --active, --h.active)}
+        clearTimeout(w.timer), ++active, ++h.active, h.last = now;
+        try {w.go(function () {free(), pump()})}
+        catch (e) {free(), setImmediate(function () {w.fail(e)})}
+      }
+      function pump() {
+        var now = +new Date(), wake = Infinity;
+        for (var i = 0; i < waiting.length && active < max_total; ++i) {
+          var w = waiting[i], h = hosts[w.host] || (hosts[w.host] = {active: 0, last: -Infinity});
+          if (h.active >= max_per_host) continue;
+          if (now - h.last < interval) {wake = Math.min(wake, h.last + interval); continue}
+          waiting.splice(i--, 1), start(w, h, now);
+        }
+        for (var k in hosts) if (! hosts[k].active && now - hosts[k].last >= interval) delete hosts[k];
+        clearTimeout(timer), timer = wake < Infinity ? setTimeout(pump, wake - now) : null;
+      }
+      return function (host, go, expire, fail) {
+        var w = {host: host, go: go, fail: fail};
+        w.timer = setTimeout(function () {waiting.splice(waiting.indexOf(w), 1), expire()}, timeout);
+        waiting.push(w), pump();
+      };
+    };
+
+    const queue_timeout = config.queue_timeout;
+    const upstream_turn = upstream_turns(config.max_fetches, config.max_host_fetches, config.host_interval, queue_timeout);
+
 //   XML fetching.
-//   We create an HTTP client to fetch the XML specified by the user. In this case it's the entire URL, so we just unescape it to get the URL they wanted.
+//   We create an HTTP client to fetch the XML specified by the user. In this case it's the entire URL, so we just unescape it to get the URL they wanted. The scheme of that URL decides whether we
+//   go through the 'http' or the 'https' module, and the port defaults to whatever is standard for the scheme.
+
+//   Most feeds have moved to HTTPS by now, and the old addresses answer with a redirect. We follow 301, 302, 303, 307 and 308 responses up to max_redirects hops, resolving relative Location
+//   headers against the URL that produced them. 'seen' holds every URL we've requested so far for this fetch, so a redirect back to one of them is reported as a loop right away instead of
+//   burning through the rest of the hops.
+
+//   When we already have a copy of the feed we pass it in as 'cached', and its ETag and Last-Modified values go upstream as If-None-Match and If-Modified-Since. If the upstream answers 304 we
+//   call 'cc' with a null document, meaning "what you have is still good". Either way 'cc' also gets the response's headers boiled down to {etag, last_modified, ttl, charset} (see 'Request
+//   caching' below for what the TTL means, and 'Character encodings' for the charset).
+
+//   The document itself isn't buffered: 'cc' gets the response body as a stream of bytes as soon as the headers are in, so the conversion can run while the bytes arrive. Whoever reads it
+//   can destroy() the stream to stop the download part way; that's quiet, and doesn't count as a failure.
+
+//   We won't download more than max_response_size bytes of anything. A Content-Length over the limit is refused right away; otherwise we count bytes as they arrive and abort the download
+//   once there are too many.
+
+//   Every other way the fetch can go wrong also ends up in the 'fail' continuation, which receives one of the error objects described above. A socket can report more than one problem (a timeout
+//   is followed by the error from aborting the request, for instance), so 'fail' is wrapped to fire only for the first of them.
 
-    const fetch_xml = fn[hostname, url, cc][let[request = require('http').createClient(80, hostname).request('GET', url, {host: hostname})] in
-                                            (request.end(), request.on('response', let[data = []] in fn[response][response.setEncoding('utf8'), response.on('data', fn[s][data.push(s)]),
-                                                                                                                                                response.on('end',  fn_[cc(data.join(''))])]))];
+    const max_redirects = config.max_redirects, upstream_timeout = config.upstream_timeout, max_response_size = config.max_response_size;
+    const upstream_request = fn[u, headers][require(u.protocol === 'https:' ? 'https' : 'http').request({host: u.hostname, port: u.port || (u.protocol === 'https:' ? 443 : 80),
+                                                                                                        path: u.path, method: 'GET', headers: extend({host: u.host}, headers),
+                                                                                                        lookup: config.allow_private ? undefined : checked_lookup})];
+    const conditional_headers = fn[cached][let[h = {}] in (cached && cached.etag && (h['if-none-match'] = cached.etag),
+                                                            cached && cached.last_modified && (h['if-modified-since'] = cached.last_modified), h)];
+    const response_meta = fn[response][{etag: response.headers.etag, last_modified: response.headers['last-modified'], ttl: upstream_ttl(response.headers),
+                                        charset: (/;\s*charset\s*=\s*"?([^";\s]+)/i.exec(response.headers['content-type'] || '') || [])[1] || null}];
+    const upstream_error = fn[e, url][e.code === 'EFORBIDDEN' ? failure('forbidden', 'Refusing to fetch #{url}: #{e.message}', {url: url}) :
+                                                                failure(e.code === 'ENOTFOUND' || e.code === 'EAI_AGAIN' ? 'dns' : 'connect', 'Fetching #{url} failed: #{e.message}', {url: url})];
+    const fetch_xml = fn[url, cc, fail, cached][fetch_following(url, cc, once(fail), [], conditional_headers(cached))];
+    const fetch_following = fn[url, cc, fail, seen, headers][
+      refusal                     ? fail(refusal) :
+      seen.indexOf(url) > -1      ? fail(failure('redirect', 'Redirect loop: #{seen.concat([url]).join(" -> ")}', {url: seen[0]})) :
+      seen.length > max_redirects ? fail(failure('redirect', 'Too many redirects (more than #{max_redirects}) starting from #{seen[0]}', {url: seen[0]})) :
+      upstream_turn(require('url').parse(url).hostname, fn[release][let[request = upstream_request(require('url').parse(url), headers)] in
+      (request.on('close', release),
+       request.on('error', fn[e][fail(upstream_error(e, url))]),
+       request.setTimeout(upstream_timeout, fn_[request.abort(), fail(failure('timeout', 'No response from #{url} in #{upstream_timeout}ms', {url: url}))]),
+       request.on('response', fn[response][response.statusCode === 304 ?
+                                             (response.resume(), cc(null, response_meta(response))) :
+                                           response.statusCode >= 300 && response.statusCode < 400 && response.headers.location ?
+                                             (response.resume(), fetch_following(require('url').resolve(url, response.headers.location), cc, fail, seen.concat([url]), headers)) :
+                                           response.statusCode < 200 || response.statusCode >= 300 ?
+                                             (response.resume(), fail(failure('status', '#{url} answered with HTTP #{response.statusCode}', {url: url, upstream_status: response.statusCode}))) :
+                                           +response.headers['content-length'] > max_response_size ?
+                                             (response.destroy(), fail(too_big)) :
+                                             (response.on('error', fn[e][fail(upstream_error(e, url))]),
+                                              (let[received = 0] in response.on('data', fn[b][(received += b.length) > max_response_size && (response.destroy(), fail(too_big))])),
+                                              cc(response, response_meta(response))),
+                                         where[too_big = failure('size', '#{url} is bigger than #{max_response_size} bytes', {url: url, limit: 'max_response_size'})]]),
+       request.end())],
+                    fn_[fail(failure('queue', 'Gave up waiting for a turn to fetch #{url} after #{queue_timeout}ms', {url: url}))],
+                    fn[e][fail(upstream_error(e, url))]),
+      where[refusal = upstream_refusal(url)]];
+
+//   Character encodings.
+//   Not every feed is UTF-8; plenty of older ones are ISO-8859-1 or Windows-1252, and Japanese ones are often Shift_JIS. Following RFC 7303, a byte order mark wins if there is one, then the
+//   charset in the Content-Type header, then the encoding in the <?xml ... ?> declaration, and UTF-8 if none of those say anything. We can't wait for the parser to tell us about the
+//   declaration, since we have to decode the bytes before it sees them, so xml_decoder() holds back the first bytes until it has seen a '>' (the end of the declaration if there is one) and
+//   looks for it itself. It only looks for the '>' in each new chunk, and it doesn't wait for one past the first 4KB: a declaration is never that long, so a document that hasn't shown one
+//   by then is decoded by its charset, or as UTF-8. UTF-16 without a BOM gives itself away by the zero bytes around '<?'.
+
+//   The decoding is Node's TextDecoder, which knows the whole WHATWG list of encodings when Node has ICU (official builds do). Without ICU it only knows the Unicode ones, so Windows-1252 is
+//   done by hand; as in browsers, ISO-8859-1 and US-ASCII are treated as Windows-1252, which is what documents labelled that way nearly always turn out to be. An encoding we can't decode at
+//   all is read as UTF-8, which at least gets the ASCII right.
+
+    const declared_encoding = fn[head][let[m = /^<\?xml[^>]*?\sencoding\s*=\s*["']([A-Za-z][\w.:-]*)["']/.exec(head.toString('latin1'))] in
+                                       (! m ? null : /^utf-?16/i.test(m[1]) ? 'utf-8' : m[1])];
+    const xml_encoding      = fn[head, charset][head[0] === 0xef && head[1] === 0xbb && head[2] === 0xbf ? 'utf-8' :
+                                                head[0] === 0xff && head[1] === 0xfe                      ? 'utf-16le' :
+                                                head[0] === 0xfe && head[1] === 0xff                      ? 'utf-16be' :
+                                                charset                                                    ? charset :
+                                                head[0] === 0x3c && head[1] === 0x00 && head[2] === 0x3f  ? 'utf-16le' :
+                                                head[0] === 0x00 && head[1] === 0x3c && head[2] === 0x00  ? 'utf-16be' :
+                                                                                                             declared_encoding(head) || 'utf-8'];
+
+    const windows_1252 = [0x20ac, 0x81, 0x201a, 0x192, 0x201e, 0x2026, 0x2020, 0x2021, 0x2c6, 0x2030, 0x160, 0x2039, 0x152, 0x8d, 0x17d, 0x8f,
+                          0x90, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014, 0x2dc, 0x2122, 0x161, 0x203a, 0x153, 0x9d, 0x17e, 0x178];
+    const windows_1252_labels = /^(?:windows-1252|cp1252|x-cp1252|iso-8859-1|iso8859-1|iso_8859-1|latin1|l1|cp819|ibm819|us-ascii|ascii)$/i;
+
+    const native_decoder = function (label) {
+      try {return new (require('util').TextDecoder)(label)}
+      catch (e) {return null}
+    };
+    const windows_1252_decoder = {write: fn[b][Array.prototype.map.call(b, fn[c][String.fromCharCode(c >= 0x80 && c < 0xa0 ? windows_1252[c - 0x80] : c)]).join('')],
+                                  end:   fn_['']};
+    const text_decoder = fn[label][let[d = native_decoder(label)] in (d                               ? {write: fn[b][d.decode(b, {stream: true})], end: fn_[d.decode()]} :
+                                                                      windows_1252_labels.test(label) ? windows_1252_decoder :
+                                                                                                        text_decoder('utf-8'))];
+
+    const xml_decoder = function (charset) {
+      var head = [], held = 0, decoder = null;
+      function start(bytes) {decoder = text_decoder(xml_encoding(bytes, charset)); return decoder.write(bytes)}
+      return {write: function (bytes) {
+                if (decoder) return decoder.write(bytes);
+                head.push(bytes), held += bytes.length;
+                return bytes.indexOf(0x3e) > -1 || held >= 4096 ? start(Buffer.concat(head)) : '';
+              },
+              end: function () {return (decoder ? '' : start(Buffer.concat(head))) + decoder.end()}};
+    };
+
+//   A download is read through one of these by live_document(), which lets any number of parsers read the same body while it arrives (see 'Request caching' for whose they are).
+//   feed(parser, fail) catches a parser up on the text so far, then writes each piece to it as it's decoded and closes it at the end. The pieces are kept as well, and once the body is all
+//   in they're joined into the document's 'xml' and handed to 'done' before the parsers are closed. A parser that sets 'stopped' is written nothing more; once every parser reading the body
+//   has stopped, nobody wants the rest of it, so the download is destroyed and 'dropped' is called instead of 'done'. fail(e) passes a failed download on to the parsers still reading, and
+//   a parser whose callbacks throw fails just its own reader.
+
+    const live_document = function (body, charset, done, dropped) {
+      var text = xml_decoder(charset), parts = [], readers = [], stopped = false, doc = {xml: null};
+      function read(r, s) {guarded(function () {s === null ? r.parser.close() : r.parser.write(s)}, function (e) {r.parser.stopped = true, r.fail(e)})()}
+      function write(s) {
+        parts.push(s);
+        readers = readers.filter(function (r) {r.parser.stopped || read(r, s); if (r.parser.stopped) stopped = true; return ! r.parser.stopped});
+      }
+      body.on('data', function (b) {
+        if (! parts) return;
+        write(text.write(b));
+        if (stopped && ! readers.length) parts = null, body.destroy(), dropped();
+      });
+      body.on('end', function () {
+        if (! parts) return;
+        write(text.end()), doc.xml = parts.join(''), parts = null, done(doc.xml);
+        readers.forEach(function (r) {r.parser.stopped || read(r, null)}), readers = [];
+      });
+      doc.feed = function (parser, fail) {
+        if (doc.xml !== null) return write_xml(parser, doc.xml);
+        var r = {parser: parser, fail: fail};
+        for (var i = 0; parts && i < parts.length && ! parser.stopped; ++i) read(r, parts[i]);
+        parser.stopped || readers.push(r);
+      };
+      doc.fail = function (e) {
+        var failed = readers;
+        parts = null, readers = [];
+        failed.forEach(function (r) {r.parser.stopped || (r.parser.stopped = true, r.fail(e))});
+      };
+      return doc;
+    };
 
 //   XML -> JSON conversion.
 //   Here's how this works. When we see a node, we create an object {attributes: node_attributes}. This then gets associated with the previous node and pushed onto the node stack (thus becoming
@@ -22,19 +361,287 @@
 //       <bar>stuff</bar>
 //     </foo>
 
-//   For this example, 'foo' will look like this: {bar: [{text: stuff, attributes: {}}, {text: stuff, attributes: {}}]}. I would empty out the attributes if all they have is text, but that's more
-//   difficult than I'd like to think about right now.
+//   For this example, 'foo' will look like this: {bar: [{text: stuff, attributes: {}}, {text: stuff, attributes: {}}]}. Emptying out the attributes when all they have is text happens later,
+//   if a request asks for it (see 'Compaction'), so that filters and shaping always see the same kind of tree.
+
+//   Arrays.
+//   The trouble with that is that a feed with one entry has an object where a feed with two has an array, and code that reads it has to check every time. So json_parser() can be given
+//   'arrays', a list of element names that are always arrays, even of one; or true, which makes every element but the root an array. Names are matched as they're keyed, so with a prefix
+//   map (see 'Namespaces') you'd list 'atom:entry'. default_arrays covers the Atom and RSS elements that can repeat, and ?arrays=... changes it for one request (see 'HTTP server').
+
+//   Malformed XML is reported through 'fail' as a 'parse' error. sax.js keeps going after an error once it's been resumed, so we record only the first one (along with where the parser was when it
+//   happened) and decide between 'cc' and 'fail' when the document ends. Plenty of feeds use HTML's entities (&nbsp;, &eacute;, &mdash;) without declaring them, which a strict parser would
+//   reject, so we give sax.js the full HTML5 entity table rather than just XML's five.
 
-    const xml_to_json = fn[xml, cc][
-                        let[result = {}, stack = [], parser = require('./sax.js').parser(true, {lowercasetags: true})] in
-                        (parser.onopentag = fn[n][result[n.name] ? result[n.name].constructor === Array ?
-                                                                     let[n = {attributes: n.attributes}, e = n.name] in (stack.push(result), result[e].push(result = n)) :
-                                                                     let[n = {attributes: n.attributes}, e = n.name] in (stack.push(result), result[e] = [result[e], result = n]) :
-                                                                   (stack.push(result), result[n.name] = {attributes: n.attributes}, result = result[n.name])],
-                         parser.onclosetag = fn[name][result = stack.pop()],
-                         parser.ontext = fn[s][result.text = (result.text || '') + s],
-                         parser.onend = fn_[cc(result)],
-                         parser.write(xml).close())];
+//   Documents reach the parser a piece at a time while they're downloaded, or as a string from the cache (see 'Request caching'), and json_parser() sets it up either way. It can also be
+//   told when to stop: 'enough' is called with the dotted path and the node of every element as it closes, and once it says yes we hand 'cc' what we have so far and don't parse the rest.
+//   write_xml() feeds a string to the parser in slices so that there's a rest not to parse.
+
+//   Limits.
+//   max_response_size bounds how much of a document we'll read, but a small document can still be expensive: a few megabytes of nothing but open tags makes a stack millions deep, and
+//   attributes and text are built up in memory before we ever see them. So the parser counts as it goes, and the first time a document breaks max_depth, max_elements, max_attributes or
+//   max_text it stops and 'fail' gets a 'size' error naming the limit.
+
+//   Both kinds of tree (see 'Ordered trees' below) are built under the same rules, so limited() sets a parser up for either: it checks the limits as elements open, records the first error
+//   and decides between 'fail' and on.end() when the document ends, and calls on.open(tag) and on.close() for the elements it lets through. Text is left to the caller, since each tree has
+//   its own kinds of it; the function limited() returns says whether a piece of text is still within max_text.
+
+    const max_depth = config.max_depth, max_elements = config.max_elements, max_attributes = config.max_attributes, max_text = config.max_text;
+    const over_limit = fn[parser, fail, limit, what][parser.stopped = true, fail(failure('size', 'The document has #{what}', {limit: limit}))];
+    const limited    = fn[parser, fail, on][
+                       let[counts = {depth: 0, elements: 0, attributes: 0, text: 0}, error = null] in
+                       (parser.onattribute = fn_[parser.stopped || ++counts.attributes <= max_attributes ||
+                                                 over_limit(parser, fail, 'max_attributes', 'an element with more than #{max_attributes} attributes')],
+                        parser.onopentag = fn[tag][parser.stopped                   ? null :
+                                                   ++counts.elements > max_elements ? over_limit(parser, fail, 'max_elements', 'more than #{max_elements} elements') :
+                                                   counts.depth >= max_depth        ? over_limit(parser, fail, 'max_depth', 'elements nested more than #{max_depth} deep') :
+                                                                                      (++counts.depth, counts.attributes = 0, on.open(tag))],
+                        parser.onclosetag = fn_[parser.stopped || (--counts.depth, on.close())],
+                        parser.onerror = fn[e][parser.stopped || /^Unbound namespace prefix/.test(e.message) ||
+                                               (error = error || failure('parse', e.message.split('\n')[0], {line: parser.line, column: parser.column})), parser.resume()],
+                        parser.onend = fn_[parser.stopped || (error ? fail(error) : on.end())],
+                        fn[s][! parser.stopped && ((counts.text += s.length) <= max_text ||
+                                                   (over_limit(parser, fail, 'max_text', 'more than #{max_text} characters of text'), false))])];
+
+//   CDATA sections are treated as text. Most Atom feeds put escaped HTML for <content> and <summary> inside <![CDATA[ ... ]]>, and the parser reports those separately from ordinary text. It also
+//   flushes an unfinished CDATA section at the end of each write(), so one section can arrive in several pieces; appending each piece to 'text' puts it back together in document order.
+
+//   Namespaces.
+//   Element and attribute names are normally keyed exactly as written, prefix and all, so the 'dc:creator' of one feed can be the 'dublin:creator' of the next. Passing a prefix map
+//   {uri: prefix} as 'namespaces' turns on sax.js's xmlns mode and keys names by the map instead: a name in a namespace the map knows gets the map's prefix (or none, if the map says ''), a name
+//   in no namespace stays bare, and a namespace the map doesn't know keeps whatever prefix the document gave it. The xmlns declarations of namespaces the map knows are dropped from
+//   'attributes', since once the names are resolved they don't tell you anything; the others stay, to say what the prefixes that were kept mean. json_parser() also collects those prefixes
+//   as {prefix: uri} and hands them to 'cc' after the tree, so that names can be written out again (see 'JSON -> XML conversion') from a part of the tree the declaration wasn't in. Plenty of
+//   feeds use 'dc:' or 'content:' without declaring them; sax.js calls that an error, but we let it go and key those names as written.
+//   namespace_prefixes covers the vocabularies feeds tend to use; note that several URIs can share a prefix (Atom 0.3 and 1.0 are both 'atom').
+
+    const namespace_prefixes = {'http://www.w3.org/2005/Atom': 'atom', 'http://purl.org/atom/ns#': 'atom', 'http://purl.org/rss/1.0/': 'rss', 'http://my.netscape.com/rdf/simple/0.9/': 'rss',
+                                'http://www.w3.org/1999/02/22-rdf-syntax-ns#': 'rdf', 'http://purl.org/dc/elements/1.1/': 'dc', 'http://purl.org/dc/terms/': 'dcterms',
+                                'http://purl.org/rss/1.0/modules/content/': 'content', 'http://purl.org/rss/1.0/modules/syndication/': 'sy', 'http://purl.org/rss/1.0/modules/slash/': 'slash',
+                                'http://wellformedweb.org/CommentAPI/': 'wfw', 'http://purl.org/syndication/thread/1.0': 'thr', 'http://search.yahoo.com/mrss/': 'media',
+                                'http://www.itunes.com/dtds/podcast-1.0.dtd': 'itunes', 'http://www.georss.org/georss': 'georss', 'http://www.w3.org/2003/01/geo/wgs84_pos#': 'geo',
+                                'http://www.w3.org/1999/xhtml': 'xhtml', 'http://www.w3.org/XML/1998/namespace': 'xml'};
+
+    const qualified_name = fn[node, namespaces][! node.uri                           ? node.local :
+                                                ! namespaces.hasOwnProperty(node.uri) ? node.name :
+                                                namespaces[node.uri]                 ? '#{namespaces[node.uri]}:#{node.local}' : node.local];
+    const qualified_attributes = fn[attributes, namespaces][Object.keys(attributes).reduce(fn[o, k][let[a = attributes[k]] in
+                                                                                                    (a.prefix === 'xmlns' && namespaces.hasOwnProperty(a.value) ||
+                                                                                                     (o[qualified_name(a, namespaces)] = a.value), o)], {})];
+    const declare_prefixes = fn[tag, namespaces, declared][[tag].concat(Object.keys(tag.attributes).map(fn[k][tag.attributes[k]])).
+                                                             forEach(fn[n][n.prefix && n.prefix !== 'xmlns' && n.uri && ! namespaces.hasOwnProperty(n.uri) && ! declared[n.prefix] &&
+                                                                           (declared[n.prefix] = n.uri)])];
+
+    const always_array = fn[arrays, name][!! arrays && (arrays === true || arrays.indexOf(name) > -1)];
+
+    const json_parser = fn[cc, fail, namespaces, enough, arrays, compaction][
+                        let[result = {}, stack = [], path = [], declared = {},
+                            parser = require('./sax.js').parser(true, {lowercasetags: true, xmlns: !! namespaces, entities: 'html',
+                                                                       trim: !! (compaction && compaction.trim), normalize: !! (compaction && compaction.normalize)})] in
+                        (let[counted = limited(parser, fail, {open:  fn[tag][let[n = {attributes: namespaces ? qualified_attributes(tag.attributes, namespaces) : tag.attributes},
+                                                                                 e = namespaces ? qualified_name(tag, namespaces) : tag.name] in
+                                                                             (namespaces && declare_prefixes(tag, namespaces, declared),
+                                                                              result[e]                               ? (result[e].constructor === Array ? result[e].push(n) :
+                                                                                                                                                           (result[e] = [result[e], n])) :
+                                                                              stack.length && always_array(arrays, e) ? (result[e] = [n]) : (result[e] = n),
+                                                                              stack.push(result), path.push(e), result = n)],
+                                                              close: fn_[let[n = result, p = path.join('.')] in
+                                                                         (result = stack.pop(), path.pop(), enough && enough(p, n) && (parser.stopped = true, cc(stack[0] || result, declared)))],
+                                                              end:   fn_[cc(result, declared)]})] in
+                         (parser.ontext = parser.oncdata = fn[s][counted(s) && (result.text = (result.text || '') + s)],
+                          parser))];
+
+    const write_xml = function (parser, xml) {
+      for (var i = 0; i < xml.length && ! parser.stopped; i += 65536) parser.write(xml.slice(i, i + 65536));
+      parser.stopped || parser.close();
+    };
+
+//     Ordered trees.
+//     The tree above is convenient, but it isn't the whole document: children with different names lose their order, text on either side of a child element runs together, and comments,
+//     processing instructions and the doctype are dropped. That matters for markup like Atom's <content type="xhtml">, where the content is a piece of XHTML. So there's a second, lossless
+//     form, which ordered_parser() builds: every node is an object with a 'type', and each element keeps its children in an array, in document order:
+
+//     | {type: 'document', children: [...]}
+//       {type: 'element', name, attributes: {...}, children: [...]}
+//       {type: 'text', text}      {type: 'cdata', text}      {type: 'comment', text}      {type: 'pi', name, body}      {type: 'doctype', text}
+
+//     Names and attributes are as written, xmlns declarations included; whitespace is kept wherever the parser reports it, and the same limits apply. ordered_to_xml() (see 'JSON -> XML
+//     conversion') writes the same document back out, apart from what XML doesn't distinguish: entities and character references come back as the characters they stand for, quotes around
+//     attributes are double, and empty elements are written as <x/>.
+
+    const ordered_parser = fn[cc, fail][
+                           let[document = {type: 'document', children: []}, stack = [], parser = require('./sax.js').parser(true, {lowercasetags: true, entities: 'html'})] in
+                           (let[children = fn_[stack.length ? stack[stack.length - 1].children : document.children]] in
+                            (let[add  = fn[n][children().push(n), n],
+                                 last = fn[type][let[c = children()] in (c.length && c[c.length - 1].type === type ? c[c.length - 1] : null)]] in
+                             (let[counted = limited(parser, fail, {open:  fn[tag][stack.push(add({type: 'element', name: tag.name, attributes: tag.attributes, children: []}))],
+                                                                   close: fn_[stack.pop()],
+                                                                   end:   fn_[cc(document)]})] in
+                              (parser.ontext                  = fn[s][counted(s) && (let[t = last('text')] in (t ? (t.text += s) : add({type: 'text', text: s})))],
+                               parser.onopencdata             = fn_[parser.stopped || add({type: 'cdata', text: ''})],
+                               parser.oncdata                 = fn[s][counted(s) && (last('cdata').text += s)],
+                               parser.oncomment               = fn[s][counted(s) && add({type: 'comment', text: s})],
+                               parser.onprocessinginstruction = fn[pi][counted(pi.body) && add({type: 'pi', name: pi.name, body: pi.body})],
+                               parser.ondoctype               = fn[s][counted(s) && add({type: 'doctype', text: s})],
+                               parser))))];
+
+//   Feed normalization.
+//   The tree that json_parser() builds mirrors whatever the publisher wrote, which means front-end code has to know whether it's looking at Atom or RSS, and has to cope with a one-entry feed
+//   having an object where a bigger one has an array. With mode=feed in the query string we recognize Atom 1.0, RSS 2.0 and RSS 1.0 (RDF) and rewrite the tree into one schema instead:
+
+//   | {feed:    {format, title, subtitle, id, updated, links: [{href, rel, type, title}], author},
+//      entries: [{id, title, link, published, updated, author, summary, content, categories: [...], enclosures: [{url, type, length}]}, ...]}
+
+//   Every field is always present. Text fields are trimmed strings or null, 'author' is {name, email, uri} or null, dates are ISO 8601 when we can parse them (RSS uses RFC 822 dates; those
+//   get converted) and passed through otherwise, and 'entries', 'links', 'categories' and 'enclosures' are always arrays. 'format' is 'atom', 'rss' or 'rdf'. Filters and shaping then work
+//   on this tree, e.g. ?mode=feed&entries(categories=ops)&limit=5. A document that isn't one of these formats is refused as a 'feed' error.
+
+//   Feeds are converted with their namespaces resolved through feed_namespaces, so the names below don't depend on the prefixes a publisher picked: Atom and RSS 1.0 elements come out bare
+//   (which makes an RSS 1.0 channel look like an RSS 2.0 one), and the usual modules get their customary prefixes (dc:creator, content:encoded). Names are otherwise as written, since the
+//   parser runs in strict mode (pubDate, not pubdate). One consequence is that an <atom:link> in an RSS 2.0 channel or item shows up as a 'link' alongside RSS's own; it's the one with an href.
+
+    const feed_namespaces = extend(extend({}, namespace_prefixes), {'http://www.w3.org/2005/Atom': '', 'http://purl.org/atom/ns#': '', 'http://purl.org/rss/1.0/': '',
+                                                                    'http://my.netscape.com/rdf/simple/0.9/': ''});
+
+    const first   = fn[node, name][node && node[name] ? [].concat(node[name])[0] : null];
+    const all     = fn[node, name][node && node[name] ? [].concat(node[name]) : []];
+    const text_of = fn[node][node && node.text && node.text.trim() || null];
+    const attr_of = fn[node, name][node && node.attributes && node.attributes[name] || null];
+    const text_at = fn[node, names][names.split(' ').reduce(fn[t, name][t || text_of(first(node, name))], null)];
+    const iso_date = fn[s][s && ! isNaN(Date.parse(s)) ? new Date(Date.parse(s)).toISOString() : s];
+    const number_or_null = fn[s][s && numeric(s) ? +s : null];
+
+    const feed_format = fn[json][json.feed ? 'atom' : json.rss && first(json.rss, 'channel') ? 'rss' : json['rdf:RDF'] ? 'rdf' : null];
+    const normalize_feed = fn[json][feed_format(json) === 'atom' ? atom_feed(json.feed) :
+                                    feed_format(json) === 'rss'  ? rss_feed('rss', rss, all(rss, 'item')) :
+                                                                   rss_feed('rdf', rdf, all(json['rdf:RDF'], 'item').concat(all(rdf, 'item'))),
+                                    where[rss = first(json.rss, 'channel'), rdf = first(json['rdf:RDF'], 'channel')]];
+
+//     Atom.
+//     Atom's links carry their meaning in 'rel': the entry's 'link' is its alternate link (or the first one if none says so), and enclosures are links with rel="enclosure". Entries without an
+//     author inherit the feed's. We also accept the Atom 0.3 names 'issued' and 'modified' for the dates.
+
+    const atom_person = fn[node][node ? {name: text_at(node, 'name'), email: text_at(node, 'email'), uri: text_at(node, 'uri url')} : null];
+    const atom_link   = fn[node][{href: attr_of(node, 'href'), rel: attr_of(node, 'rel') || 'alternate', type: attr_of(node, 'type'), title: attr_of(node, 'title')}];
+
+    const atom_feed  = fn[feed][{feed:    {format: 'atom', title: text_at(feed, 'title'), subtitle: text_at(feed, 'subtitle tagline'), id: text_at(feed, 'id'),
+                                           updated: iso_date(text_at(feed, 'updated modified')), links: all(feed, 'link').map(atom_link), author: atom_person(first(feed, 'author'))},
+                                 entries: all(feed, 'entry').map(fn[e][atom_entry(e, feed)])}];
+    const atom_entry = fn[e, feed][let[links = all(e, 'link')] in
+                                   {id: text_at(e, 'id'), title: text_at(e, 'title'),
+                                    link: attr_of(links.filter(fn[l][(attr_of(l, 'rel') || 'alternate') === 'alternate'])[0] || links[0], 'href'),
+                                    published: iso_date(text_at(e, 'published issued')), updated: iso_date(text_at(e, 'updated modified')),
+                                    author: atom_person(first(e, 'author') || first(feed, 'author')), summary: text_at(e, 'summary'), content: text_at(e, 'content'),
+                                    categories: all(e, 'category').map(fn[c][attr_of(c, 'term') || attr_of(c, 'label') || text_of(c)]).filter(fn[c][c]),
+                                    enclosures: links.filter(fn[l][attr_of(l, 'rel') === 'enclosure']).
+                                                      map(fn[l][{url: attr_of(l, 'href'), type: attr_of(l, 'type'), length: number_or_null(attr_of(l, 'length'))}])}];
+
+//     RSS.
+//     RSS 2.0 and RSS 1.0 differ mostly in where things live (1.0 puts its items next to the channel rather than inside it, and leans on Dublin Core for dates and authors), so one function
+//     handles both. An item's id is its guid, or its rdf:about in RSS 1.0, or failing those its link. RSS 2.0 authors are email addresses, usually written 'bob@example.com (Bob)'; we split
+//     those into a name and an email.
+
+    const rss_person = fn[s][! s ? null : let[m = /^\s*(\S+@\S+)\s*\((.*)\)\s*$/.exec(s)] in (m                   ? {name: m[2], email: m[1], uri: null} :
+                                                                                              /^\S+@\S+$/.test(s) ? {name: null, email: s,    uri: null} :
+                                                                                                                      {name: s,    email: null, uri: null})];
+
+    const rss_link  = fn[node][all(node, 'link').map(text_of).filter(fn[l][l])[0] || null];
+    const rss_feed  = fn[format, channel, items][{feed:    {format: format, title: text_at(channel, 'title'), subtitle: text_at(channel, 'description'),
+                                                            id: attr_of(channel, 'rdf:about') || rss_link(channel),
+                                                            updated: iso_date(text_at(channel, 'lastBuildDate pubDate dc:date')),
+                                                            links: all(channel, 'link').map(fn[l][text_of(l) ? {href: text_of(l), rel: 'alternate', type: null, title: null} : atom_link(l)]).
+                                                                                        filter(fn[l][l.href]),
+                                                            author: rss_person(text_at(channel, 'managingEditor dc:creator dc:publisher'))},
+                                                  entries: items.map(rss_entry)}];
+    const rss_entry = fn[item][{id: text_at(item, 'guid') || attr_of(item, 'rdf:about') || rss_link(item), title: text_at(item, 'title'), link: rss_link(item),
+                                published: iso_date(text_at(item, 'pubDate dc:date')), updated: iso_date(text_at(item, 'updated dc:date pubDate')),
+                                author: rss_person(text_at(item, 'author dc:creator')), summary: text_at(item, 'description'), content: text_at(item, 'content:encoded'),
+                                categories: all(item, 'category').concat(all(item, 'dc:subject')).map(text_of).filter(fn[c][c]),
+                                enclosures: all(item, 'enclosure').map(fn[n][{url: attr_of(n, 'url'), type: attr_of(n, 'type'), length: number_or_null(attr_of(n, 'length'))}])}];
+
+//   JSON -> XML conversion.
+//   Going the other way, json_to_xml() writes a tree of the kind json_parser() builds back out as XML: each key other than 'attributes' and 'text' becomes an element (one per member, for an
+//   array), 'attributes' become its attributes and 'text' its text, escaped as it needs to be. Since the tree doesn't record where text came between child elements, the text goes first; a
+//   tree from an ordinary feed, where text and elements don't mix, comes back as the same document. Strings and numbers become elements holding just that text, and null leaves its element
+//   out. The XML declaration says UTF-8, and the tree needs a single root.
+
+//   Names from a document parsed with a prefix map (xmlns=1) have lost the declarations of the namespaces in the map, so passing the same map as 'namespaces' declares every prefix the tree
+//   uses on the root again. A prefix the map doesn't have is declared from 'declared', the prefixes json_parser() found in the document (see 'Namespaces'): the tree keeps their declarations
+//   where they were, but shaping can drop the element one was on and keep names that need it.
+
+    const xml_escapes  = {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\t': '&#9;', '\n': '&#10;', '\r': '&#13;'};
+    const escape_text  = fn[s][String(s).replace(/[&<>\r]/g, fn[c][xml_escapes[c]])];
+    const escape_value = fn[s][String(s).replace(/[&<>"\t\n\r]/g, fn[c][xml_escapes[c]])];
+
+    const xml_element = fn[name, v][v === null || v === undefined ? '' :
+                                    v.constructor === Array      ? v.map(fn[x][xml_element(name, x)]).join('') :
+                                    typeof v !== 'object'        ? '<#{name}>#{escape_text(v)}</#{name}>' :
+                                                                   (body ? '<#{name}#{attributes}>#{body}</#{name}>' : '<#{name}#{attributes}/>',
+                                                                    where[attributes = Object.keys(v.attributes || {}).
+                                                                                         filter(fn[k][v.attributes[k] !== null && v.attributes[k] !== undefined]).
+                                                                                         map(fn[k][' #{k}="#{escape_value(v.attributes[k])}"']).join(''),
+                                                                          body       = (v.text === null || v.text === undefined ? '' : escape_text(v.text)) +
+                                                                                       Object.keys(v).filter(fn[k][k !== 'attributes' && k !== 'text']).
+                                                                                         map(fn[k][xml_element(k, v[k])]).join('')])];
+
+    const used_prefixes = function (v, found) {
+      if (v && typeof v === 'object') for (var k in v) {
+        var m = /^([^:]+):/.exec(k);
+        if (m && m[1] !== 'xmlns') found[m[1]] = true;
+        used_prefixes(v[k], found);
+      }
+      return found;
+    };
+    const namespace_declarations = fn[json, namespaces, declared][let[used = used_prefixes(json, {})] in
+                                                                  (let[mapped = Object.keys(namespaces).reduce(fn[o, uri][let[p = namespaces[uri]] in
+                                                                                                                          (p && p !== 'xml' && used[p] && ! o['xmlns:#{p}'] &&
+                                                                                                                           (o['xmlns:#{p}'] = uri), o)], {})] in
+                                                                   Object.keys(used).reduce(fn[o, p][o['xmlns:#{p}'] || ! declared || ! declared.hasOwnProperty(p) ||
+                                                                                                     (o['xmlns:#{p}'] = declared[p]), o], mapped))];
+
+//     An ordered tree (see 'Ordered trees') goes through ordered_to_xml() instead. It has its own XML declaration if the document did, so none is added; since we always write UTF-8, the
+//     encoding in it is changed to say so.
+
+    const ordered_to_xml = fn[n][n.type === 'element' ? (n.children.length ? '<#{n.name}#{attributes}>#{n.children.map(ordered_to_xml).join("")}</#{n.name}>' : '<#{n.name}#{attributes}/>') :
+                                 n.type === 'text'    ? escape_text(n.text) :
+                                 n.type === 'cdata'   ? '<![CDATA[' + n.text.replace(/]]>/g, ']]]]><![CDATA[>') + ']]>' :
+                                 n.type === 'comment' ? '<!--#{n.text}-->' :
+                                 n.type === 'pi'      ? '<?#{n.name}#{n.body ? " " + body : ""}?>' :
+                                 n.type === 'doctype' ? '<!DOCTYPE#{n.text}>' :
+                                                        n.children.map(ordered_to_xml).join(''),
+                                 where[attributes = Object.keys(n.attributes || {}).map(fn[k][' #{k}="#{escape_value(n.attributes[k])}"']).join(''),
+                                       body       = n.name === 'xml' ? (n.body || '').replace(/(\bencoding\s*=\s*)(["'])[^"']*\2/, '$1"utf-8"') : n.body]];
+
+    const json_to_xml = fn[json, namespaces, declared]['<?xml version="1.0" encoding="utf-8"?>\n' +
+                                                       Object.keys(json).filter(fn[k][k !== 'attributes' && k !== 'text']).
+                                                         map(fn[k][namespaces && json[k] && typeof json[k] === 'object' && json[k].constructor !== Array ?
+                                                                     xml_element(k, extend(extend({}, json[k]),
+                                                                                           {attributes: extend(namespace_declarations(json, namespaces, declared), json[k].attributes || {})})) :
+                                                                     xml_element(k, json[k])]).join('')];
+
+//     Atom output.
+//     A normalized feed (see 'Feed normalization') can always be written out as Atom, whatever it was to begin with, which lets a feed reader subscribe to a filtered view of any feed.
+//     atom_output() builds the tree for json_to_xml(). Atom insists on a few things the normalized feed can lack: a missing id falls back to the entry's link or the feed's URL, a missing
+//     'updated' to 'published' and then to the newest date in the feed (or now, if there are none), and a feed with no author gets one named after its title unless every entry has its
+//     own. Summaries and content are marked as HTML, which is what RSS descriptions nearly always are.
+
+    const output_date   = fn[d][d && ! isNaN(Date.parse(d)) ? new Date(d).toISOString() : null];
+    const output_person = fn[p][p && (p.name || p.email || p.uri) ? {name: p.name || p.email || p.uri, email: p.email, uri: p.uri} : null];
+    const output_text   = fn[s, type][s === null || s === undefined ? null : {attributes: {type: type}, text: s}];
+    const output_entry  = fn[e, url, updated][{id: e.id || e.link || url + '#' + encodeURIComponent(e.title || ''), title: e.title || '',
+                                               updated: output_date(e.updated) || output_date(e.published) || updated, published: output_date(e.published), author: output_person(e.author),
+                                               link: (e.link ? [{attributes: {rel: 'alternate', href: e.link}}] : []).
+                                                       concat((e.enclosures || []).filter(fn[x][x.url]).map(fn[x][{attributes: {rel: 'enclosure', href: x.url, type: x.type, length: x.length}}])),
+                                               category: (e.categories || []).map(fn[c][{attributes: {term: c}}]),
+                                               summary: output_text(e.summary, 'html'), content: output_text(e.content, 'html')}];
+
+    const atom_output = fn[json, url][let[f = json.feed || {}, entries = json.entries || []] in
+                                      (let[updated = output_date(f.updated) || entries.map(fn[e][output_date(e.updated) || output_date(e.published)]).filter(fn[d][d]).sort().pop() ||
+                                                     new Date().toISOString()] in
+                                       {feed: {attributes: {xmlns: 'http://www.w3.org/2005/Atom'}, id: f.id || url, title: f.title || url, subtitle: output_text(f.subtitle, 'text'),
+                                               updated: updated, link: (f.links || []).filter(fn[l][l.href]).map(fn[l][{attributes: l}]),
+                                               author: output_person(f.author) || (entries.every(fn[e][output_person(e.author)]) ? null : {name: f.title || url}),
+                                               generator: 'atom-node', entry: entries.map(fn[e][output_entry(e, url, updated)])}})];
 
 //   JSON filtering.
 //   We don't need all of the data that comes back, necessarily. In some cases the full XML document is huge and we just want a subset. I'm not implementing anything too involved here; it's
@@ -56,38 +663,558 @@
 
 //   | http://this-server/www.server.com/foo/bar/bif.xml?entry(name=foo)
 
-//   This will make sure that any entries at the top-level have the name 'foo'. Note that this filter applies only to collections; not to heterogeneous nodes.
+//   This will make sure that any entries at the top-level have the name 'foo'. Note that this filter applies only to collections; not to heterogeneous nodes. The part before the parentheses is a
+//   dotted path to the collection, so for an Atom feed you'd say feed.entry(name=foo). A path that runs through a collection applies the filter inside each of its members, so
+//   feed.entry.link(@rel=alternate) keeps only the alternate links of every entry.
+
+//     Filter syntax.
+//     Inside the parentheses is a predicate that each member of the collection has to satisfy. The simplest ones compare a field with a value:
+
+//     | entry(name=foo)                   the entry's <name> is exactly 'foo' (surrounding whitespace is ignored)
+//       entry(name!=foo)                  ... isn't 'foo', or there is no <name>
+//       entry(title~release)              the title contains 'release', ignoring case
+//       entry(title=~/^v\d+\.\d+/i)       the title matches a regular expression, if allow_regexps is set
+//       entry(updated>2026-01-01)         <, >, <= and >= compare numbers as numbers and dates as dates, anything else as strings
+//       entry(author.name=Bob)            a dotted field looks further down: here, the <name> inside <author>
+//       link(@rel=alternate)              @ names an attribute of the member itself ...
+//       entry(category@term=ops)          ... or of one of its children
+//       entry(summary)                    a field on its own just has to be there
+
+//     When a field has several values (an entry with three <category> elements, say) the comparison holds if any one of them satisfies it. Predicates combine with ',' for 'and' and '|' for
+//     'or', with ',' binding tighter; '!' negates and parentheses group, so entry(author.name=Bob|author.name=Alice, !draft) does what it looks like. Values that contain any of ( ) , | have
+//     to be quoted with ' or ".
 
-    const filter_json = fn[json, node_name, selector, value][node_name.indexOf('.') > -1 ?
-                                                              filter_json(json[node_name.split(/\./)[0]] || {}, node_name.split(/\./).slice(1).join('.'), selector, value) :
-                                                              json[node_name] && json[node_name].constructor === Array &&
-                                                                (json[node_name] = json[node_name].filter(fn[node][node[selector] && node[selector].text === value])),
-                                                             json];
+//     Regular expressions are off unless allow_regexps says otherwise, because a client can write one that takes minutes to fail, like /^(a+)+$/ on a long title with a 'b' at the end,
+//     and run it against a feed it made for the purpose; meanwhile nobody else gets an answer. So only turn them on if the clients are your own.
+
+//     The parser compiles the filter into a predicate function up front. Anything it can't make sense of comes back as a 'filter' error naming the column where it gave up, and the request
+//     is refused with that error rather than falling back to some other reading of the filter.
+
+    const field_values = fn[node, field][let[path = field.split('@')[0], attribute = field.split('@')[1]] in
+                                         (path ? path.split('.').reduce(fn[nodes, name][nodes.reduce(fn[xs, n][n && n[name] ? xs.concat(n[name]) : xs], [])], [node]) : [node]).
+                                           map(fn[n][typeof n !== 'object' ? (attribute === undefined ? n : undefined) :
+                                                     attribute === undefined  ? n.text || '' : n.attributes && n.attributes[attribute]])];
+
+    const numeric = fn[s][/^\s*-?\d+(?:\.\d+)?\s*$/.test(s)];
+    const ordered = fn[a, b][numeric(a) && numeric(b)                               ? +a - +b :
+                             ! isNaN(Date.parse(a)) && ! isNaN(Date.parse(b)) ? Date.parse(a) - Date.parse(b) :
+                             a < b ? -1 : a > b ? 1 : 0];
+
+    const comparisons = {'=':  fn[a, v][a === v],
+                         '~':  fn[a, v][a.toLowerCase().indexOf(v.toLowerCase()) > -1],
+                         '=~': fn[a, v][v.test(a)],
+                         '<':  fn[a, v][ordered(a, v) <  0],  '<=': fn[a, v][ordered(a, v) <= 0],
+                         '>':  fn[a, v][ordered(a, v) >  0],  '>=': fn[a, v][ordered(a, v) >= 0]};
+
+    const field_test = fn[field, op, value][op === '!=' ? (let[equal = field_test(field, '=', value)] in fn[node][! equal(node)]) :
+                                            op          ? fn[node][field_values(node, field).some(fn[a][a !== undefined && comparisons[op](String(a).trim(), value)])] :
+                                                          fn[node][field_values(node, field).some(fn[a][a !== undefined])]];
+
+    const parse_filter = function (source) {
+      var i = 0;
+      function skip()     {while (/\s/.test(source.charAt(i))) ++i}
+      function take(re)   {skip(); re.lastIndex = i; var m = re.exec(source); return m && m.index === i ? (i += m[0].length, m) : null}
+      function expect(re, what) {return take(re) || error('expected ' + what)}
+      function error(why) {throw failure('filter', 'Bad filter ' + source + ': ' + why + ' at column ' + (i + 1), {filter: source, column: i + 1})}
+
+      function either() {for (var t = both();  take(/\|/g);) t = let[a = t, b = both()]  in fn[node][a(node) || b(node)]; return t}
+      function both()   {for (var t = unary(); take(/,/g);)  t = let[a = t, b = unary()] in fn[node][a(node) && b(node)]; return t}
+      function unary()  {return take(/!(?!=)/g) ? (let[t = unary()] in fn[node][! t(node)]) :
+                                take(/\(/g)     ? (let[t = either()] in (expect(/\)/g, "')'"), t)) :
+                                                  test()}
+      function test()   {var field = expect(/[@\w.:-]+/g, 'a field name')[0], op = take(/!=|<=|>=|=~|[=<>~]/g);
+                         return field_test(field, op && op[0], op && (op[0] === '=~' ? regexp() : value()))}
+      function value()  {var m = take(/'([^']*)'|"([^"]*)"|[^(),|]*/g); return m[1] !== undefined ? m[1] : m[2] !== undefined ? m[2] : m[0].trim()}
+      function regexp() {config.allow_regexps || error('regular expressions are turned off');
+                         var m = expect(/\/((?:[^\/\\]|\\.)*)\/([gimy]*)/g, 'a /regular expression/');
+                         try {return new RegExp(m[1], m[2].replace('g', ''))} catch (e) {error(e.message)}}
+
+      try {var path = expect(/[\w.:-]+/g, 'the path to a collection')[0], t = (expect(/\(/g, "'('"), either());
+           expect(/\)/g, "')'"), skip(), i < source.length && error('unexpected ' + source.charAt(i));
+           return {path: path, test: t}}
+      catch (e) {if (e.type === 'filter') return e; throw e}};
+
+//     Both filtering and shaping (below) work on a collection named by a dotted path, and both descend into every member of a collection the path runs through; update_collection() does that
+//     walk and replaces each collection it finds with f(collection). A member that's alone, and so was left as an object (see 'Arrays'), is a collection of one; it becomes an array, as it
+//     would have been with arrays=all. The tree it's given may be shared with other requests (see 'Request caching'), so it's left alone: what comes back is a copy of the nodes along the
+//     way, and shares everything else with the original.
+
+    const update_collection = fn[json, path, f][! json || typeof json !== 'object' || ! json[head] || typeof json[head] !== 'object' ? json :
+                                                 let[o = extend({}, json)] in
+                                                 (o[head] = ! rest                          ? f([].concat(json[head])) :
+                                                            json[head].constructor === Array ? json[head].map(fn[member][update_collection(member, rest, f)]) :
+                                                                                               update_collection(json[head], rest, f), o),
+                                                 where[head = path.split(/\./)[0], rest = path.split(/\./).slice(1).join('.')]];
+
+    const filter_json = fn[json, path, test][update_collection(json, path, fn[xs][xs.filter(test)])];
+
+//   Shaping collections.
+//   Filtering only drops whole members of a collection. Mobile widgets usually want a handful of members with a handful of fields each, so a few more options work on one collection after the
+//   filters have run:
+
+//   | collection=feed.entry     the collection to shape; defaults to the path of the last filter
+//     sort=updated              order members by a field, using the same field syntax and ordering as filters; sort=-updated reverses it. Members without the field go last.
+//     offset=20                 skip this many members
+//     limit=10                  keep at most this many
+//     fields=title,link,updated keep only these children of each member. Dotted names keep part of a child, so fields=title,author.name drops everything in <author> but its <name>; use
+//                               'attributes' or 'text' to keep the member's own. A child that's null or a plain value, like a missing author in mode=feed, is kept as it is.
+
+//   These are applied in that order, so ?feed.entry(category@term=ops)&sort=-updated&limit=5&fields=title,link gives the titles and links of the five most recent ops entries.
+
+    const sort_by = fn[xs, spec][let[descending = spec.charAt(0) === '-', field = spec.replace(/^-/, '')] in
+                                 xs.map(fn[x][{member: x, key: field_values(x, field).filter(fn[v][v !== undefined]).map(fn[v][String(v).trim()])[0]}]).
+                                    sort(fn[a, b][a.key === undefined ? (b.key === undefined ? 0 : 1) : b.key === undefined ? -1 : (descending ? -1 : 1) * ordered(a.key, b.key)]).
+                                    map(fn[p][p.member])];
+
+    const project = fn[node, fields][let[groups = {}] in
+                                     (fields.forEach(fn[f][let[head = f.split('.')[0], rest = f.split('.').slice(1).join('.')] in
+                                                           (groups[head] = (rest && groups[head] !== true ? (groups[head] || []).concat([rest]) : true))]),
+                                      Object.keys(groups).reduce(fn[o, k][node[k] !== undefined &&
+                                                                          (o[k] = (groups[k] === true || node[k] === null || typeof node[k] !== 'object' ? node[k] :
+                                                                                   node[k].constructor === Array ? node[k].map(fn[c][project(c, groups[k])]) :
+                                                                                                                   project(node[k], groups[k]))), o], {}))];
+
+    const parse_shape = fn[o, filters][
+      o.offset !== undefined && ! /^\d+$/.test(o.offset)                        ? failure('request', 'offset has to be a non-negative integer') :
+      o.limit  !== undefined && ! /^\d+$/.test(o.limit)                         ? failure('request', 'limit has to be a non-negative integer') :
+      o.sort   !== undefined && ! /^-?[@\w.:-]+$/.test(o.sort)                  ? failure('request', 'sort has to be a field name, optionally preceded by -') :
+      o.fields !== undefined && ! /^[\w.:-]+(?:,[\w.:-]+)*$/.test(o.fields)     ? failure('request', 'fields has to be a comma-separated list of field names') :
+      o.offset === undefined && o.limit === undefined && o.sort === undefined && o.fields === undefined ? null :
+      ! o.collection && ! filters.length ? failure('request', 'sort, offset, limit and fields need a collection= or a filter to tell them which collection to shape') :
+      {collection: o.collection || filters[filters.length - 1].path, sort: o.sort, offset: +(o.offset || 0), limit: o.limit === undefined ? null : +o.limit,
+       fields: o.fields === undefined ? null : o.fields.split(',')}];
+
+    const shape_json = fn[json, shape][update_collection(json, shape.collection, fn[xs][let[sorted = shape.sort ? sort_by(xs, shape.sort) : xs] in
+                                                                                       sorted.slice(shape.offset, shape.limit === null ? undefined : shape.offset + shape.limit).
+                                                                                              map(fn[x][shape.fields ? project(x, shape.fields) : x])])];
+
+//     Stopping early.
+//     A request that only wants the first few members of a collection doesn't need the rest of the document. With a limit and no sort (which has to see every member), early_stop() counts members as
+//     the parser closes them, and once offset + limit of them have got through the filters we stop parsing. If every request reading a download has stopped, the download is abandoned and nothing is
+//     cached; otherwise it's read to the end for the others and the cache. That only works if we can tell which elements are members and whether they'll survive, so we don't try when a filter works
+//     on some other collection, or in feed mode when there are any filters at all, since those run on the normalized tree. In feed mode 'entries' counts <entry> in Atom and <item> in RSS. Anything
+//     the publisher puts after the last member we needed is lost, which is rarely anything: feeds put their own metadata before the entries nearly everywhere. We also assume the collection only
+//     turns up in one place.
+
+    const feed_entry_paths = ['feed.entry', 'rss.channel.item', 'rdf:RDF.item', 'rdf:RDF.channel.item'];
+    const member_counter   = fn[paths, filters, n][let[count = 0] in fn[path, node][paths.indexOf(path) > -1 && filters.every(fn[f][f.test(node)]) && ++count >= n]];
+    const early_stop       = fn[request][let[shape = request.shape] in
+                                         (! shape || shape.limit === null || shape.sort ? null :
+                                          request.options.mode === 'feed' ? (shape.collection === 'entries' && ! request.filters.length ?
+                                                                               member_counter(feed_entry_paths, [], shape.offset + shape.limit) : null) :
+                                          request.filters.every(fn[f][f.path === shape.collection]) ? member_counter([shape.collection], request.filters, shape.offset + shape.limit) :
+                                                                                                       null)];
+
+//     Compaction.
+//     Every element comes out as an object with its 'attributes', even when there aren't any, and its text wrapped up in 'text', which is a lot of bytes for a phone to download and a lot of
+//     '.text' for its code to write. ?compact=... takes a comma-separated list of what to leave out:
+
+//     | text        an element with no attributes and no children becomes the string of its text ('' if it's empty)
+//       empty       'attributes' is left out of an element that has none
+//       @           attributes go on the element itself with an '@' in front, so <link href="..."/> is {'@href': '...'}; there's no 'attributes' at all
+//       trim        text has the whitespace around it trimmed off, and text that's only whitespace (the indentation between elements, mostly) is dropped
+//       normalize   runs of whitespace in text become one space
+//       numbers     text and attribute values that are numbers become JSON numbers, unless that would change them: 007, 1.50 and an id too long for a double to hold exactly all stay strings
+//       booleans    'true' and 'false' become true and false
+//       dates       ISO 8601 and RFC 822 dates are rewritten as ISO 8601 (JSON has no dates of its own)
+
+//     So ?compact=text,@,trim gives {feed: {title: 'Blog', entry: [{title: 'Hello', link: [{'@href': 'http://...'}], ...}]}} for an Atom feed. trim and normalize are sax.js's own options and
+//     happen as the document is parsed; the rest happen after filtering and shaping, which therefore see the usual tree: filters still say @href, and fields=title still works.
+
+    const compact_words      = ['text', 'empty', '@', 'trim', 'normalize', 'numbers', 'booleans', 'dates'];
+    const request_compaction = fn[request][request.options.compact === undefined ? null :
+                                           request.options.compact.split(',').reduce(fn[c, w][c[w] = true, c], {})];
+
+    const iso_8601 = /^\d{4}-\d\d-\d\d(?:[T ]\d\d:\d\d(?::\d\d(?:\.\d+)?)?(?:Z|[+-]\d\d:?\d\d)?)?$/;
+    const rfc_822  = /^(?:[A-Za-z]{3},\s*)?\d{1,2}\s+[A-Za-z]{3}\s+\d{2,4}\s+\d\d:\d\d(?::\d\d)?(?:\s+[\w+-]+)?$/;
+    const coerce   = fn[s, c][c.numbers  && /^\s*-?(?:0|[1-9]\d*)(?:\.\d+)?\s*$/.test(s) && String(+s) === s.trim() ? +s :
+                              c.booleans && /^\s*(?:true|false)\s*$/.test(s)                                        ? s.trim() === 'true' :
+                              c.dates    && (iso_8601.test(s.trim()) || rfc_822.test(s.trim()))                     ? iso_date(s.trim()) :
+                                                                                                                      s];
+
+    const compact_node = function (n, c) {
+      if (n && n.constructor === Array) return n.map(function (x) {return compact_node(x, c)});
+      if (! n || typeof n !== 'object') return typeof n === 'string' ? coerce(n, c) : n;
+      var o = {}, attributes = n.attributes || {}, names = Object.keys(attributes),
+          children = Object.keys(n).filter(function (k) {return k !== 'attributes' && k !== 'text'});
+      if (c.text && ! names.length && ! children.length) return coerce(n.text || '', c);
+      if (c['@']) names.forEach(function (k) {o['@' + k] = coerce(attributes[k], c)});
+      else if (n.attributes && (names.length || ! c.empty)) o.attributes = names.reduce(function (a, k) {a[k] = coerce(attributes[k], c); return a}, {});
+      if (n.text !== undefined) o.text = coerce(n.text, c);
+      children.forEach(function (k) {o[k] = compact_node(n[k], c)});
+      return o;
+    };
+    const compact_json = fn[json, c][Object.keys(json).reduce(fn[o, k][o[k] = compact_node(json[k], c), o], {})];
+
+//     Everything a request asks us to do to the converted feed happens in transform_json(): normalization first if it's in feed mode, then the filters, then shaping, then compaction.
+
+    const transform_json = fn[json, request][let[filtered = request.filters.reduce(fn[json, f][filter_json(json, f.path, f.test)],
+                                                                                   request.options.mode === 'feed' ? normalize_feed(json) : json)] in
+                                             (let[shaped = request.shape ? shape_json(filtered, request.shape) : filtered, compaction = request_compaction(request)] in
+                                              (compaction && request.options.mode !== 'feed' ? compact_json(shaped, compaction) : shaped))];
 
 //   HTTP server.
 //   This is simple. We accept requests of this form:
 
 //   | http://this-server/www.server.com/foo/bar/bif.xml
 
-//   The URL is unescaped to make sure that special characters get properly represented.
+//   The upstream is fetched over plain HTTP on port 80 unless the path says otherwise; you can give a scheme, a port, or both:
 
-//     Request caching.
-//     Because we don't want to hammer other servers, I keep a 15-minute cache. The deal is simple: Every so often the cache gets emptied, but until then the server can store things.
+//   | http://this-server/https://www.server.com:8443/foo/bar/bif.xml
+//     http://this-server/www.server.com:8080/foo/bar/bif.xml
+
+//   Some clients collapse the double slash after the scheme, so 'https:/www.server.com/...' means the same thing. The URL is unescaped to make sure that special characters get properly
+//   represented.
+
+//   The query string holds the filters described above along with any options, all separated by '&'. Options look like name=value; mode=feed, mode=ordered and the shaping options are
+//   described above, and there's also:
+
+//   | callback    Wrap the JSON in a call to this function (JSONP), e.g. ?entry(name=foo)&callback=showFeed. It has to be a JavaScript identifier or a dotted path of them, like
+//                 'widgets.feed.receive'; anything else is refused with a 400 so that nobody can use the proxy to inject script into a page.
+//     xmlns       With xmlns=1, names are keyed through namespace_prefixes instead of by the prefixes the document happens to use (see 'Namespaces' above), so
+//                 ?xmlns=1&collection=atom:feed.atom:entry&limit=5 works on any Atom feed. mode=feed always resolves namespaces, so there it makes no difference.
+//     output      json (the default), xml or atom. With output=xml the result is written back out as XML by json_to_xml(), so ?feed.entry(category@term=ops)&output=xml on an Atom feed is
+//                 the same Atom feed with fewer entries; with mode=ordered it goes through ordered_to_xml() and gives back the document itself. output=atom turns on mode=feed and serves
+//                 the result as Atom (see 'Atom output'), which works for RSS too. Neither can be used with a callback. A normalized feed has two roots, 'feed' and 'entries', and XML
+//                 can only have one, so mode=feed can't have output=xml; output=atom is how to get it as XML.
+//     arrays      all, none, or a comma-separated list of the elements that are always arrays, even when there's only one of them (see 'Arrays'); without it, default_arrays applies. So
+//                 with ?arrays=entry,link, feed.entry is a list of entries, and each entry's 'link' a list of links, however many there are. In mode=feed and mode=ordered the tree has a
+//                 shape of its own, so there it makes no difference.
+//     compact     what to leave out of the tree to make it smaller, e.g. compact=text,@,trim (see 'Compaction'). It only works with output=json, and in mode=feed and mode=ordered it makes no
+//                 difference.
+
+//   Without a callback the response is plain JSON served as application/json; XML is served as application/xml, and Atom as application/atom+xml. Errors are JSON whatever the output, under
+//   the status that goes with them (see 'Error reporting'); with a callback they're wrapped in it like any other answer, still under that status, so that a page loading us with a script tag
+//   hears about them too. The exceptions are a callback we refuse, which we won't call, and a path we can't make out a request from at all.
 
     const unescape = require('querystring').unescape;
-    var cache = {}, listeners = {};
-    setInterval(fn_[cache = {}, listeners = {}], 900000);
-    require('http').createServer(fn[req, res][cache[req.url] ?
-                                                (res.writeHead(200, {'content-type': 'text/javascript'}), res.end(cache[req.url])) :
-                                                ((listeners[req.url] ?
-                                                  listeners[req.url].push(res) :
-                                                  (listeners[req.url] = [res],
-                                                   fetch_xml(parts[1], unescape(parts[2]),
-                                                     fn[xml][xml_to_json(xml, fn[json][parts[3] && (json = filter_json(json, unescape(parts[3]), unescape(parts[4]), unescape(parts[5]))),
-                                                                                       listeners[req.url].forEach(fn[res][res.writeHead(200, {'content-type': 'text/javascript'}),
-                                                                                                                          res.end(cache[req.url] = 'receiveAtomAsJson(#{JSON.stringify(json)})')]),
-                                                                                       listeners[req.url] = null])])))),
-                                              when[parts], where[parts = /\/?([^\/]+)([^\?]*)(?:\??([^(]+)\((\w+)=([^)]+)\))?/.exec(req.url)]]).listen(8081, '0.0.0.0');
+    const reserved_words = ('break case catch class const continue debugger default delete do else enum export extends false finally for function if implements import in instanceof ' +
+                            'interface let new null package private protected public return static super switch this throw true try typeof var void while with yield').split(' ');
+    const valid_callback = fn[s][s.length <= 128 && /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*$/.test(s) && s.split('.').every(fn[w][reserved_words.indexOf(w) === -1])];
+
+//     Request parsing.
+//     parse_request() turns a request URL into {upstream, filters, shape, options, error}, or returns nothing if the path doesn't name a feed. An upstream we won't fetch is already an error
+//     here, so that it's refused before it gets anywhere near the cache.
+
+//     The upstream URL is the key the feed is cached under (see 'Request caching' below), so it's normalized: the scheme and host are lower case, a port that's the scheme's default is dropped,
+//     and an empty path is '/'. Unescaping the path has already made '%2F' and '/' the same thing. Two requests that spell a feed differently then share its cache entry and its fetches. An
+//     IPv6 address is written in brackets, as in /[2001:db8::1]:8080/feed.xml, and keeps them in the URL.
+
+//     Unescaping can also leave characters that can't go into a request line, like spaces and anything outside ASCII, and http.request throws rather than send them. Those are escaped again
+//     as UTF-8, so '/%E2%98%83.xml' and '/☃.xml' both fetch the same path.
+
+    const parse_query = fn[query][with_options((query ? query.split('&') : []).reduce(
+                                    fn[q, s][(option ? (q.options[option[1]] = unescape(option[2])) :
+                                              s      ? (let[f = parse_filter(unescape(s))] in (f.type ? (q.error = q.error || f) : q.filters.push(f))) :
+                                                       null), q,
+                                             where[option = /^(\w+)=(.*)$/.exec(s)]],
+                                    {options: {}, filters: [], error: null, shape: null}))];
+    const with_options = fn[q][let[shape = parse_shape(q.options, q.filters)] in
+                               (q.options.mode !== undefined && ! /^(?:raw|feed|ordered)$/.test(q.options.mode) ?
+                                                                                                         (q.error = q.error || failure('request', 'mode has to be raw, feed or ordered')) :
+                                q.options.xmlns !== undefined && ! /^[01]$/.test(q.options.xmlns)       ? (q.error = q.error || failure('request', 'xmlns has to be 0 or 1')) :
+                                q.options.arrays !== undefined && ! /^[\w.:-]+(?:,[\w.:-]+)*$/.test(q.options.arrays) ?
+                                                                                                         (q.error = q.error || failure('request', 'arrays has to be all, none or names')) :
+                                q.options.compact !== undefined && ! q.options.compact.split(',').every(fn[w][compact_words.indexOf(w) > -1]) ?
+                                                                                                         (q.error = q.error || failure('request', 'compact can only list ' +
+                                                                                                                                                  compact_words.join(', '))) :
+                                q.options.output !== undefined && ! /^(?:json|xml|atom)$/.test(q.options.output) ?
+                                                                                                         (q.error = q.error || failure('request', 'output has to be json, xml or atom')) :
+                                q.options.output === 'atom' && q.options.mode !== undefined && q.options.mode !== 'feed' ?
+                                                                                                         (q.error = q.error || failure('request', 'output=atom needs mode=feed')) :
+                                q.options.output === 'xml' && q.options.mode === 'feed' ?
+                                                                                                         (q.error = q.error || failure('request', 'mode=feed can not be written as ' +
+                                                                                                                                                  'output=xml; use output=atom')) :
+                                q.options.callback !== undefined && /^(?:xml|atom)$/.test(q.options.output) ?
+                                                                                                         (q.error = q.error || failure('request', 'A callback only works with output=json')) :
+                                q.options.compact !== undefined && /^(?:xml|atom)$/.test(q.options.output) ?
+                                                                                                         (q.error = q.error || failure('request', 'compact only works with output=json')) :
+                                shape && shape.type                                                    ? (q.error = q.error || shape) :
+                                                                                                         (q.options.output === 'atom' && (q.options.mode = 'feed'), q.shape = shape), q)];
+
+//     The configured default_filters go in front of every request's own filters.
+
+    const default_filters = config.default_filters.map(fn[s][let[f = parse_filter(s)] in (f.type ? config_error('default_filters: #{f.message}') : f)]);
+
+//     Likewise default_arrays is what json_parser() is told about arrays (see 'Arrays') unless the request says otherwise.
+
+    const default_arrays = config.default_arrays.indexOf('all') > -1 ? true : config.default_arrays;
+    const request_arrays = fn[request][request.options.arrays === undefined ? default_arrays :
+                                       request.options.arrays === 'all'     ? true :
+                                       request.options.arrays === 'none'    ? null : request.options.arrays.split(',')];
+
+    const default_ports  = {'http:': '80', 'https:': '443'};
+    const normalized_url = fn[url][let[u = require('url').parse(url)] in
+                                   ('#{u.protocol}//#{host}#{port}#{u.pathname || "/"}#{u.search === "?" ? "" : u.search || ""}',
+                                    where[host = u.hostname.indexOf(':') > -1 ? '[' + u.hostname + ']' : u.hostname,
+                                          port = u.port && u.port !== default_ports[u.protocol] ? ':#{u.port}' : ''])];
+
+//     The point of mode=ordered is to have the whole document, so it can't be filtered or shaped; that includes default_filters, if there are any.
+
+    const ordered_refusal = fn[q][q.options.mode === 'ordered' && (q.filters.length || q.shape || default_filters.length) ?
+                                    failure('request', 'mode=ordered can not be used with filters, shaping options or default_filters') : null];
+
+    const upstream_parts = /^\/?(?:(https?):\/*)?(\[[\da-fA-F:.]+\]|[^\/:?\[\]]+)(?::(\d+))?([^\?]*)(?:\?(.*))?$/;
+    const escaped_path   = fn[path][path.replace(/[^\x21-\x7e]+/g, fn[s][Buffer.from(s).toString('hex').toUpperCase().replace(/../g, '%$&')])];
+    const upstream_url   = fn[parts, path][normalized_url('#{parts[1] || "http"}://#{parts[2]}#{parts[3] ? ":" + parts[3] : ""}#{escaped_path(path)}')];
+
+    const parse_request = fn[url][parts && let[upstream = upstream_url(parts, unescape(parts[4])), query = parse_query(parts[5])] in
+                                           {upstream: upstream, filters: default_filters.concat(query.filters), shape: query.shape, options: query.options,
+                                            error: query.error || ordered_refusal(query) || upstream_refusal(upstream)},
+                                  where[parts = upstream_parts.exec(url)]];
+
+//     Request caching.
+//     Because we don't want to hammer other servers, every upstream URL gets one cache entry {xml, etag, last_modified, expires, size} holding the text of the document, and every request for
+//     that URL is answered from it, whatever mode, filters or shaping it asks for: each request converts the text, filters and shapes the result for itself, and wraps its callback around it
+//     on the way out. Converting a feed takes a few milliseconds, which is a lot less than fetching it, and a feed that's asked for ten different ways is only fetched once. The requests that
+//     are waiting when a fetch comes back don't wait for the whole document, though: each of them parses it as it's downloaded, and whoever comes along before it's finished catches up on
+//     what's arrived so far and reads the rest along with them.
+
+//     How long an entry stays fresh is up to the upstream: s-maxage or max-age in Cache-Control wins, then Expires, and a feed that says nothing gets default_ttl. Whatever the upstream asks
+//     for is clamped to [min_ttl, max_ttl], so 'no-cache' or 'max-age=0' still can't make us fetch a feed more than once a minute. 'no-store' is the exception: those responses are passed
+//     along but never stored.
+
+//     Once an entry goes stale it isn't thrown away. The next request for it gets the stale copy immediately and kicks off a revalidation in the background, which usually comes back as a cheap
+//     304. If that refresh fails the old copy keeps being served for another min_ttl before we try again. Entries that stay stale for more than max_stale are swept out, and the whole cache
+//     is capped at max_cache_size characters of XML, evicting the least recently used entries first.
+
+//     A fetch that fails is reported to every client waiting on it, as a JSON body under the status that goes with the error. That isn't cached, so the next request for the same URL tries the
+//     upstream again. A document that arrives but doesn't convert (it isn't well-formed, or a request wanted a feed and it isn't one) is cached like any other, since fetching it again won't
+//     change it before it expires; each request for it gets the error. The exception is a download that every request reading it gave up on part way, having got what it wanted (see
+//     'Stopping early') or found the document over a limit (see 'Limits'); that one is abandoned, and isn't cached at all.
+
+    const default_ttl = config.default_ttl, min_ttl = config.min_ttl, max_ttl = config.max_ttl, max_stale = config.max_stale, max_cache_size = config.cache_size;
+
+    const upstream_ttl = fn[headers][/no-store/i.test(control) ? null :
+                                     Math.max(min_ttl, Math.min(max_ttl, age ? +age[1] * 1000 :
+                                                                         /no-cache/i.test(control) ? 0 :
+                                                                         headers.expires ? (Date.parse(headers.expires) || 0) - (Date.parse(headers.date) || +new Date()) :
+                                                                                           default_ttl)),
+                                     where[control = headers['cache-control'] || '', age = /s-maxage=(\d+)/i.exec(headers['cache-control']) || /max-age=(\d+)/i.exec(headers['cache-control'])]];
+
+//     LRU cache.
+//     Entries live in an object, and JavaScript keeps an object's keys in insertion order; so reinserting a key every time it's used keeps the least recently used one at the front, which is
+//     where eviction starts.
+
+    const lru_cache = fn[capacity, evicted][let[entries = {}, used = 0] in
+                                   {get:    fn[key][entries.hasOwnProperty(key) ? (let[e = entries[key]] in (delete entries[key], entries[key] = e)) : null],
+                                    remove: fn[key][entries.hasOwnProperty(key) && (used -= entries[key].size, delete entries[key])],
+                                    set:    fn[key, e][this.remove(key), entries[key] = e, used += e.size, this.evict(key), e],
+                                    evict:  function (keep) {for (var k in entries) if (used <= capacity) break; else if (k !== keep) this.remove(k), evicted && evicted(k); return used},
+                                    each:   function (f) {for (var k in entries) f(k, entries[k])}}];
+
+//     Disk cache.
+//     Anything that can get(), set(), remove() and each() entries the way lru_cache() does can hold the cache, and the other one we have keeps it on disk too, in cache_dir. Otherwise a restart
+//     would empty the cache and we'd fetch every feed anyone asks for again all at once. Entries are still served from memory, so the disk is only read when the server starts: every entry there
+//     that hasn't been stale for more than max_stale is loaded back, and the rest are deleted. The same TTLs and the same size limit apply; lru_cache() tells us what it evicts so that we can
+//     delete those files too.
+
+//     Each entry is a file of its own, named after a hash of its key and holding {key, entry}. Files are written to a temporary name and renamed into place, so a crash can't leave half an entry
+//     behind, and the writes and deletes for one file are done in order so that a delete can't overtake the write before it. Failing to write is logged and otherwise ignored; the entry is
+//     still in memory.
+
+    const disk_cache = function (dir, capacity) {
+      var fs = require('fs'), path = require('path'), jobs = {}, now = +new Date(), loaded = [];
+      function file(key) {return path.join(dir, require('crypto').createHash('sha1').update(key).digest('hex') + '.json')}
+      function queue(f, job) {if ((jobs[f] = jobs[f] || []).push(job) === 1) run(f)}
+      function run(f) {jobs[f][0](function () {jobs[f].shift(); if (jobs[f].length) run(f); else delete jobs[f]})}
+      function write(key, e) {
+        var f = file(key), text = JSON.stringify({key: key, entry: e});
+        queue(f, function (done) {
+          fs.writeFile(f + '.tmp', text, function (error) {
+            if (error) return console.log("Can't write " + f + ': ' + error.message), done();
+            fs.rename(f + '.tmp', f, function (error) {error && console.log("Can't write " + f + ': ' + error.message), done()});
+          });
+        });
+      }
+      function unlink(key) {var f = file(key); queue(f, function (done) {fs.unlink(f, function () {done()})})}
+
+      var memory = lru_cache(capacity, unlink);
+      try {fs.mkdirSync(dir, {recursive: true})}
+      catch (e) {config_error("can't use the cache directory " + dir + ': ' + e.message)}
+      fs.readdirSync(dir).forEach(function (name) {
+        var f = path.join(dir, name), o = null;
+        if (! /^[0-9a-f]{40}\.json(?:\.tmp)?$/.test(name)) return;
+        try {o = /\.json$/.test(name) && JSON.parse(fs.readFileSync(f, 'utf8'))} catch (e) {}
+        if (o && typeof o.key === 'string' && o.entry && o.entry.expires + max_stale >= now && file(o.key) === f) loaded.push(o);
+        else fs.unlinkSync(f);
+      });
+      loaded.sort(function (a, b) {return a.entry.expires - b.entry.expires}).forEach(function (o) {memory.set(o.key, o.entry)});
+
+      return {get:    function (key) {return memory.get(key)},
+              set:    function (key, e) {memory.set(key, e); write(key, e); return e},
+              remove: function (key) {memory.remove(key) && unlink(key)},
+              each:   function (f) {memory.each(f)}};
+    };
+
+    const cache = config.cache_dir ? disk_cache(config.cache_dir, max_cache_size) : lru_cache(max_cache_size);
+    var listeners = {};
+    setInterval(fn_[cache.each(fn[key, e][e.expires + max_stale < +new Date() && cache.remove(key)])], 60000);
+
+//     Converted trees.
+//     Parsing a big feed takes long enough to hold up every other request while it runs, and a popular feed would otherwise be parsed again for every request. So the trees are kept too, in a
+//     cache of their own holding up to tree_cache_size characters' worth of the XML they came from. A tree depends on how the document was parsed as well as on which document it was
+//     (namespaces, arrays, and compaction's trim and normalize all happen in the parser), so it's cached under the URL and those, and it's only good while the cache entry for the URL still
+//     holds the text it came from; a 304 doesn't change that. Only trees of whole documents are kept, not what's left when a request stops early. Filters, shaping and compaction all build
+//     new trees rather than change the one they're given, so any number of requests can share one.
+
+    const trees              = lru_cache(config.tree_cache_size);
+    const tree_conversion    = fn[namespaces, enough, arrays, compaction][{key:    JSON.stringify([namespaces === feed_namespaces ? 'feed' : namespaces ? 'xmlns' : '', arrays,
+                                                                                                   !! (compaction && compaction.trim), !! (compaction && compaction.normalize)]),
+                                                                           parser: fn[cc, fail][json_parser(cc, fail, namespaces, enough, arrays, compaction)]}];
+    const ordered_conversion = {key: 'ordered', parser: ordered_parser};
+    const convert = function (url, doc, how, cc, fail) {
+      var key = url + ' ' + how.key, t = doc.xml !== null && trees.get(key), parser;
+      if (t && t.xml === doc.xml) return cc(t.tree, t.declared);
+      parser = how.parser(function (tree, declared) {
+        parser.stopped || doc.xml === null || trees.set(key, {xml: doc.xml, tree: tree, declared: declared, size: doc.xml.length});
+        cc(tree, declared);
+      }, fail);
+      doc.feed(parser, fail);
+    };
+
+    const send    = fn[client, status, json, headers][client.callback ? (client.res.writeHead(status, extend({'content-type': 'text/javascript'}, headers)),
+                                                                          client.res.end('#{client.callback}(#{json})')) :
+                                                                         (client.res.writeHead(status, extend({'content-type': 'application/json'}, headers)), client.res.end(json))];
+    const deliver    = fn[key, f][let[ls = listeners[key]] in (ls && (listeners[key] = null, ls.forEach(f)))];
+    const refuse     = fn[client, e][client.res.headersSent || send(client, e.status, JSON.stringify({error: e}), e.retry_after && {'retry-after': String(e.retry_after)})];
+    const send_error = fn[client, e][client.res.headersSent || send(client, e.status, JSON.stringify({error: e}))];
+    const send_xml   = fn[client, type, xml][client.res.writeHead(200, {'content-type': '#{type}; charset=utf-8'}), client.res.end(xml)];
+    const output     = fn[client, json, namespaces, declared][let[request = client.request] in
+                                                    (request.options.output === 'atom' ? send_xml(client, 'application/atom+xml', json_to_xml(atom_output(json, request.upstream))) :
+                                                     request.options.output === 'xml'  ? send_xml(client, 'application/xml', request.options.mode === 'ordered' ? ordered_to_xml(json) :
+                                                                                                                                                      json_to_xml(json, namespaces, declared)) :
+                                                                                         send(client, 200, JSON.stringify(json)))];
+    const respond    = fn[client, doc][let[request = client.request] in
+                                       (request.options.mode === 'ordered' ? convert(request.upstream, doc, ordered_conversion, fn[tree][output(client, tree)], failed) :
+                                                                             convert(request.upstream, doc,
+                                                                                     tree_conversion(namespaces, early_stop(request), request.options.mode !== 'feed' && request_arrays(request),
+                                                                                                     request.options.mode !== 'feed' && request_compaction(request)),
+                                                                                     fn[json, declared][request.options.mode === 'feed' && ! feed_format(json) ?
+                                                                                                          failed(failure('feed', 'Expected an Atom or RSS feed', {url: request.upstream})) :
+                                                                                                          output(client, transform_json(json, request), namespaces, declared)],
+                                                                                     failed),
+                                        where[failed     = fn[e][send_error(client, e)],
+                                              namespaces = request.options.mode === 'feed' ? feed_namespaces : request.options.xmlns === '1' ? namespace_prefixes : null])];
+
+//     A request gets a feed as a document {xml, feed(parser, fail)}: feed() runs a parser over it, and 'xml' is its text, or null while it's still being downloaded. xml_document() makes
+//     one of a string, and live_document() (see 'Character encodings') one of a download.
+
+//     The refresh() function starts a fetch for an upstream URL unless one is already running; whoever wants the result adds a listener {cc, fail} to listeners[url] afterwards. 'entry' is
+//     the cached copy, if any, which makes the fetch conditional. A 304 refreshes it, keeping its etag and last_modified unless the 304 sends new ones (RFC 9111 section 4.3.4), and an
+//     upstream that answers 304 when we had no copy to ask about gets a 'status' error. As soon as a document starts to arrive the listeners get it, and it stays in downloads[url] until it's
+//     all in, for anyone else who wants it meanwhile. The listeners are taken off listeners[url] before any of them is called, so that one that throws can't leave the rest waiting, or keep
+//     the next request for the URL from starting a fetch of its own. with_xml() is how a request gets a feed: from the cache if it can, revalidating a stale copy in the background, then from a
+//     download that's under way, and otherwise by waiting for a fetch.
+
+    var downloads = {};
+    const xml_document = fn[xml][{xml: xml, feed: fn[parser][write_xml(parser, xml)]}];
+    const revalidated  = fn[entry, meta][extend(extend({}, meta), {etag: meta.etag || entry.etag, last_modified: meta.last_modified || entry.last_modified})];
+    const store    = fn[url, xml, meta][meta.ttl !== null && cache.set(url, {xml: xml, etag: meta.etag, last_modified: meta.last_modified, expires: +new Date() + meta.ttl, size: xml.length}),
+                                        deliver(url, fn[l][l.cc(xml_document(xml))])];
+    const download = fn[url, body, meta, failed][let[doc = live_document(body, meta.charset, guarded(fn[xml][delete downloads[url], store(url, xml, meta)], failed),
+                                                                         fn_[delete downloads[url]])] in
+                                                 (downloads[url] = doc, deliver(url, fn[l][l.cc(doc)]))];
+    const refresh  = fn[url, entry][listeners[url] || downloads[url] ||
+                                    (listeners[url] = [],
+                                     fetch_xml(url, guarded(fn[body, meta][body === null && ! entry ? failed(failure('status', '#{url} answered 304 to a request that was not conditional',
+                                                                                                                     {url: url, upstream_status: 304})) :
+                                                                           body === null            ? store(url, entry.xml, revalidated(entry, meta)) :
+                                                                                                      download(url, body, meta, failed)], failed),
+                                               failed, entry)),
+                                    where[failed = fn[e][entry && (entry.expires = +new Date() + min_ttl), deliver(url, fn[l][l.fail(e)]),
+                                                         downloads[url] && (downloads[url].fail(e), delete downloads[url])]]];
+    const with_xml = fn[url, cc, fail][let[entry = cache.get(url)] in
+                                       (entry && entry.expires > +new Date() ? cc(xml_document(entry.xml)) :
+                                        entry                                 ? (cc(xml_document(entry.xml)), refresh(url, entry)) :
+                                        downloads[url]                        ? cc(downloads[url]) :
+                                                                                (refresh(url, null), listeners[url].push({cc: cc, fail: fail})))];
+    const cached   = fn[url][cache.get(url) || listeners[url] || downloads[url]];
+
+//     Merging feeds.
+//     A dashboard that shows a river of several feeds would otherwise have to fetch each of them and merge them itself. A request to the root path with feed= parameters does that instead:
+
+//     | http://this-server/?feed=www.server.com/feed.xml&feed=https://other.org/atom.xml&limit=20
+
+//     Each feed is written the way the path of an ordinary request is (escaped, if it has a query string of its own), and one request can name up to max_sources of them. They're all fetched at
+//     once, through the same cache, queue and checks as any other request, and converted as with mode=feed. The response looks like this:
+
+//     | {sources: [{url, title, error}, ...], entries: [{..., source}, ...]}
+
+//     The entries of every feed are listed together, newest first by 'updated' (or 'published' where there's no 'updated'), each with a 'source' field holding its feed's URL. An entry whose
+//     id (or link, if it has no id) turned up in a newer entry already is dropped, so that a post syndicated to two of the feeds is only listed once. A feed we can't get, or that isn't a feed,
+//     doesn't fail the request; it gets its error in 'sources' and adds no entries.
+
+//     Filters, shaping and callbacks work as usual, and shaping works on 'entries' unless collection= says otherwise, so ?feed=...&feed=...&entries(categories=ops)&limit=10&fields=title,source
+//     gives the titles of the ten newest ops entries. The mode, xmlns, output, arrays and compact options don't apply, and are refused.
+
+    const max_sources   = config.max_sources;
+    const feed_url      = fn[s][parts && upstream_url(parts, parts[4] + (parts[5] === undefined ? '' : '?#{parts[5]}')), where[parts = upstream_parts.exec(s)]];
+    const is_feed_param = fn[s][/^feed=/.test(s)];
+    const parse_merge   = fn[url][m && merge_request(m[1].split('&')), where[m = /^\/?\?(.*)$/.exec(url)]];
+    const merge_request = fn[params][let[feeds = params.filter(is_feed_param).map(fn[s][unescape(s.substr(5))])] in
+                                     (let[urls = feeds.map(feed_url), query = parse_query(['collection=entries'].concat(params.filter(fn[s][! is_feed_param(s)])).join('&'))] in
+                                      {urls: urls, filters: default_filters.concat(query.filters), shape: query.shape, options: query.options,
+                                       error: query.error || (! feeds.length                  ? failure('request', 'Expected at least one feed=... parameter') :
+                                                              feeds.length > max_sources      ? failure('request', 'At most #{max_sources} feeds can be merged at once') :
+                                                              urls.indexOf(null) > -1         ? failure('request', '#{feeds[urls.indexOf(null)]} is not a feed URL') :
+                                                              ['mode', 'xmlns', 'output', 'arrays', 'compact'].some(fn[o][query.options[o] !== undefined]) ?
+                                                                                                failure('request', 'mode, xmlns, output, arrays and compact do not apply to merged feeds') :
+                                                                                                null)})];
+
+    const merge_source   = fn[url, cc][refusal ? cc({url: url, error: refusal}) :
+                                       with_xml(url, guarded(fn[doc][convert(url, doc, tree_conversion(feed_namespaces, null, false, false),
+                                                                             fn[json][feed_format(json) ? cc(extend({url: url}, normalize_feed(json))) :
+                                                                                                          failed(failure('feed', 'Expected an Atom or RSS feed', {url: url}))],
+                                                                             failed)], failed),
+                                                     failed),
+                                       where[refusal = upstream_refusal(url), failed = fn[e][cc({url: url, error: e})]]];
+    const merge_feeds    = fn[urls, cc][let[sources = [], pending = urls.length] in
+                                        urls.forEach(fn[url, i][merge_source(url, fn[s][sources[i] = s, --pending || cc(merged_feeds(sources))])])];
+    const merged_feeds   = fn[sources][{sources: sources.map(fn[s][{url: s.url, title: s.feed ? s.feed.title : null, error: s.error || null}]),
+                                        entries: unique_entries(sources.reduce(fn[a, s][a.concat((s.entries || []).map(fn[e][extend(e, {source: s.url})]))], [])
+                                                                       .sort(fn[a, b][entry_time(b) - entry_time(a)]))}];
+    const entry_time     = fn[e][Date.parse(e.updated || e.published) || 0];
+    const unique_entries = fn[entries][let[seen = {}] in entries.filter(fn[e][let[k = e.id || e.link] in (! k || ! seen.hasOwnProperty(k) && (seen[k] = true))])];
+
+//     Rate limiting.
+//     Each client gets two token buckets: one for requests we can answer from the cache, stale or not, and one for requests that start an upstream fetch, which cost far more. A bucket
+//     holds up to hit_burst (or fetch_burst) tokens and refills at hit_rate (or fetch_rate) tokens a minute; every request takes one, and a request that finds its bucket empty is refused
+//     with a 'rate' error and a Retry-After header saying when the next token will be there. A request that joins a fetch someone else already started counts as a hit, and one that merges
+//     feeds counts as a fetch if any of them needs one.
+
+//     Clients are told apart by address, or by the value of api_key_header if it's set and they send one of the api_keys. A key we don't know counts for nothing, since otherwise a client
+//     could make up a new one, and get a full bucket, for every request. Buckets that have filled back up are no different from new ones, so they're swept out once a minute.
+
+//     The take() method returns 0 if the request can go ahead, or the number of seconds until it could.
+
+    const token_buckets = fn[rate, burst][let[buckets = {}, refill = fn[b, now][Math.min(burst, b.tokens + (now - b.at) * rate / 60000)]] in
+                                          {take:  fn[key][rate === 0 ? 0 :
+                                                          (let[now = +new Date(), b = buckets[key] || (buckets[key] = {tokens: burst, at: +new Date()})] in
+                                                           (b.tokens = refill(b, now), b.at = now, b.tokens >= 1 ? (b.tokens -= 1, 0) : Math.ceil((1 - b.tokens) * 60 / rate)))],
+                                           sweep: fn_[let[now = +new Date()] in Object.keys(buckets).forEach(fn[k][refill(buckets[k], now) >= burst && delete buckets[k]])]}];
+
+    const hit_limits = token_buckets(config.hit_rate, config.hit_burst), fetch_limits = token_buckets(config.fetch_rate, config.fetch_burst);
+    const api_key_header = config.api_key_header.toLowerCase();
+    const api_keys = config.api_keys.reduce(fn[o, k][o[k] = true, o], {});
+    const client_key = fn[req][let[k = api_key_header && req.headers[api_key_header]] in
+                               (k && api_keys.hasOwnProperty(k) ? 'key #{k}' : 'address #{req.socket.remoteAddress}')];
+    setInterval(fn_[hit_limits.sweep(), fetch_limits.sweep()], 60000);
+
+    const handle = fn[req, res][
+      ! request ? refuse({res: res}, failure('request', 'Expected a request of the form /www.server.com/path/to/feed.xml or /?feed=...&feed=...')) :
+      request.options.callback && ! valid_callback(request.options.callback) ?
+        refuse({res: res}, failure('request', 'The callback has to be a JavaScript identifier or a dotted path of them')) :
+      (request.error ? refuse(client, request.error) :
+       (wait                                  ? refuse(client, failure('rate', 'Too many requests from this client; try again in #{wait}s', {retry_after: wait})) :
+        request.urls                          ? merge_feeds(request.urls, guarded(fn[json][send(client, 200, JSON.stringify(transform_json(json, request)))], failed)) :
+                                                with_xml(request.upstream, guarded(fn[doc][respond(client, doc)], failed), failed),
+        where[wait   = ((request.urls || [request.upstream]).every(cached) ? hit_limits : fetch_limits).take(client_key(req)),
+              failed = fn[e][send_error(client, e)]]),
+       where[client = {res: res, callback: request.options.callback, request: request}]),
+      where[request = parse_merge(req.url) || parse_request(req.url)]];
+
+    require('http').createServer(fn[req, res][guarded(handle, fn[e][refuse({res: res}, e)])(req, res)]).listen(config.port, config.host);
 
     process.on('uncaughtException', fn[e][console.log('Exception: #{e}')]);
   }) (require);